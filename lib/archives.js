@@ -0,0 +1,65 @@
+// Zip archives in batch uploads: every file inside is processed as if it had
+// been uploaded on its own
+//
+// DOCX, PPTX, ODT and EPUB files are zips too, so only archives whose content
+// isn't one of those formats are unpacked. Entries are decompressed one at a
+// time as they're processed, and never past the per-file size limit; zip
+// documents among them are then held to the unpacked-size budget in zipXml.js.
+
+import JSZip from 'jszip';
+import { OCTET_STREAM, ZIP_MIMETYPE, createProcessingError, detectFileType } from './fileProcessor.js';
+import { readZipEntry } from './zipXml.js';
+
+export const ARCHIVE_MIMETYPES = [ZIP_MIMETYPE, 'application/x-zip-compressed', 'application/x-zip'];
+
+// Same limit as a direct upload
+const MAX_ENTRY_SIZE = 10 * 1024 * 1024;
+
+// Folders, macOS resource forks, hidden files and Windows thumbnail caches
+function isIgnoredEntry(entry) {
+  const parts = entry.name.split('/');
+  return entry.dir
+    || parts.some(part => part === '__MACOSX' || part.startsWith('.'))
+    || /^(?:thumbs\.db|desktop\.ini)$/i.test(parts[parts.length - 1]);
+}
+
+// Whether an uploaded file is an archive to unpack: a plain zip, labelled as
+// a zip or left for content detection
+export async function isArchive(file) {
+  const declared = (file.mimetype || OCTET_STREAM).toLowerCase();
+  const labelled = ARCHIVE_MIMETYPES.includes(declared) || declared === OCTET_STREAM
+    || /\.zip$/i.test(file.originalname || '');
+
+  return labelled && await detectFileType(file.buffer, file.originalname) === ZIP_MIMETYPE;
+}
+
+// Files inside an archive, in archive order, as { files: [{ path, filename, load }], skipped };
+// load() decompresses the entry into a multer-style file object whose type
+// is detected from its content. Past `limit` files are only counted, in `skipped`
+export async function listArchiveFiles(file, { limit = Infinity } = {}) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file.buffer);
+  } catch (error) {
+    throw createProcessingError(`Could not open archive "${file.originalname}": ${error.message}`, 'INVALID_ARCHIVE');
+  }
+
+  const entries = Object.values(zip.files).filter(entry => !isIgnoredEntry(entry));
+  const files = entries.slice(0, limit).map(entry => {
+    const filename = entry.name.split('/').pop();
+
+    return {
+      path: entry.name,
+      filename,
+      load: async () => {
+        const buffer = await readZipEntry(entry, MAX_ENTRY_SIZE);
+        if (await detectFileType(buffer, filename) === ZIP_MIMETYPE) {
+          throw createProcessingError('Archives inside archives are not unpacked', 'NESTED_ARCHIVE');
+        }
+        return { buffer, originalname: filename, mimetype: OCTET_STREAM, size: buffer.length };
+      }
+    };
+  });
+
+  return { files, skipped: entries.length - files.length };
+}
@@ -0,0 +1,131 @@
+// Batch uploads: many files (and the contents of zip archives) processed with
+// bounded concurrency, each succeeding or failing on its own. Saved
+// extractions share the batch's id, so history can list them together.
+
+import { randomUUID } from 'crypto';
+import { mapWithConcurrency } from './concurrency.js';
+import { processFile, validateFile } from './fileProcessor.js';
+import { isArchive, listArchiveFiles } from './archives.js';
+import { describeProcessingError, extractionResponse, saveExtraction } from './extractions.js';
+
+// Files per batch, counting each file inside an archive
+export const BATCH_MAX_FILES = Number(process.env.BATCH_MAX_FILES) || 20;
+// OCR workers are pooled anyway; this mostly bounds memory
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY) || 2);
+
+function failure(item, status, body) {
+  return {
+    filename: item.filename,
+    ...(item.archive && { archive: item.archive, path: item.path }),
+    success: false,
+    status,
+    ...body
+  };
+}
+
+// Replace archives with the files inside them, up to BATCH_MAX_FILES. Items
+// are { filename, archive?, path?, load } or, for unreadable archives,
+// { filename, error }; files past the limit are only counted, in `skipped`
+async function expandUploads(files) {
+  const items = [];
+  let skipped = 0;
+
+  for (const file of files) {
+    const remaining = Math.max(0, BATCH_MAX_FILES - items.length);
+
+    if (!await isArchive(file)) {
+      if (remaining === 0) {
+        skipped++;
+      } else {
+        items.push({ filename: file.originalname, load: async () => file });
+      }
+      continue;
+    }
+
+    try {
+      const entries = await listArchiveFiles(file, { limit: remaining });
+      if (entries.files.length === 0 && entries.skipped === 0) {
+        items.push({ filename: file.originalname, error: { status: 422, body: { error: 'The archive contains no files.', code: 'EMPTY_ARCHIVE' } } });
+      }
+      items.push(...entries.files.map(entry => ({ ...entry, archive: file.originalname })));
+      skipped += entries.skipped;
+    } catch (error) {
+      items.push({ filename: file.originalname, error: { status: 422, body: { error: error.message, code: error.code } } });
+    }
+  }
+
+  return { items, skipped };
+}
+
+async function processBatchItem(item, { batchId, user, options }) {
+  if (item.error) {
+    return failure(item, item.error.status, item.error.body);
+  }
+
+  try {
+    const file = await item.load();
+
+    const validationErrors = validateFile(file);
+    if (validationErrors.length > 0) {
+      return failure(item, 400, { error: `File validation failed: ${validationErrors.join(', ')}` });
+    }
+
+    const result = await processFile(file, options);
+    const savedId = await saveExtraction(result, user, {
+      batchId,
+      ...(item.archive && { archive: item.archive, archivePath: item.path })
+    });
+
+    return {
+      filename: item.filename,
+      ...(item.archive && { archive: item.archive, path: item.path }),
+      success: true,
+      ...extractionResponse(result, user, savedId)
+    };
+  } catch (error) {
+    console.error(`❌ Batch item failed: ${item.path || item.filename}`, error.message);
+
+    if (error.code === 'NESTED_ARCHIVE') {
+      return failure(item, 415, { error: error.message, code: error.code });
+    }
+
+    const { status, body } = describeProcessingError(error);
+    return failure(item, status, body);
+  }
+}
+
+// Process uploaded files as one batch. Results are in upload order (archive
+// contents in archive order), one per file, with `status` being the HTTP
+// status a single upload of that file would have returned. Files past the
+// batch limit share a single result at the end
+export async function processBatch(files, { user, options = {} } = {}) {
+  const batchId = randomUUID();
+  const { items, skipped } = await expandUploads(files);
+
+  console.log(`📦 Batch ${batchId}: ${items.length} files from ${files.length} uploads${skipped ? `, ${skipped} over the limit` : ''}`);
+
+  const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, item =>
+    processBatchItem(item, { batchId, user, options })
+  );
+  if (skipped > 0) {
+    results.push({
+      success: false,
+      status: 413,
+      error: `Batch limit of ${BATCH_MAX_FILES} files reached; ${skipped} more ${skipped === 1 ? 'file was' : 'files were'} not processed.`,
+      code: 'BATCH_LIMIT_EXCEEDED',
+      skipped
+    });
+  }
+
+  const succeeded = results.filter(result => result.success).length;
+  const total = items.length + skipped;
+  console.log(`✅ Batch ${batchId} complete: ${succeeded} of ${total} files processed`);
+
+  return {
+    batchId,
+    total,
+    succeeded,
+    failed: total - succeeded,
+    results
+  };
+}
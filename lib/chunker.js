@@ -0,0 +1,129 @@
+// Token-budgeted text chunking for long documents
+//
+// Chunks follow the document's own structure where possible: whole pages
+// first, then sections, paragraphs and sentences, and only as a last resort
+// a hard split. Every chunk records its character range in the source text
+// (and its page range when page boundaries are known).
+
+import { segmentSentences } from './extractiveSummarizer.js';
+
+// Rough token estimate (~4 characters per token for English text)
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Split a span of text into pieces that fit the budget, coarsest split first
+function splitSpan(text, start, end, maxTokens) {
+  if (estimateTokens(text.slice(start, end)) <= maxTokens) {
+    return [{ start, end }];
+  }
+
+  const span = text.slice(start, end);
+  const splitters = [
+    /\n(?=[ \t]*#{1,6}[ \t])/g, // Markdown headings
+    /\n[ \t]*\n/g, // Paragraphs
+    /\n/g // Lines
+  ];
+
+  for (const splitter of splitters) {
+    const cuts = [...span.matchAll(splitter)]
+      .map(match => start + match.index + match[0].length)
+      .filter(cut => cut < end);
+    if (cuts.length > 0) {
+      return packBoundaries(text, [start, ...cuts, end], maxTokens);
+    }
+  }
+
+  const sentenceCuts = segmentSentences(span).slice(1).map(sentence => start + sentence.start);
+  if (sentenceCuts.length > 0) {
+    return packBoundaries(text, [start, ...sentenceCuts, end], maxTokens);
+  }
+
+  // Hard split on whitespace near the character budget
+  const pieces = [];
+  const maxChars = maxTokens * 4;
+  let from = start;
+
+  while (from < end) {
+    let to = Math.min(from + maxChars, end);
+    if (to < end) {
+      const lastSpace = text.lastIndexOf(' ', to);
+      if (lastSpace > from) to = lastSpace + 1;
+    }
+    pieces.push({ start: from, end: to });
+    from = to;
+  }
+
+  return pieces;
+}
+
+// Greedily pack consecutive pieces between boundaries into budget-sized spans
+function packBoundaries(text, boundaries, maxTokens) {
+  const pieces = [];
+  let pieceStart = boundaries[0];
+
+  for (let i = 1; i < boundaries.length; i++) {
+    const from = boundaries[i - 1];
+    const to = boundaries[i];
+
+    if (estimateTokens(text.slice(from, to)) > maxTokens) {
+      if (from > pieceStart) pieces.push({ start: pieceStart, end: from });
+      pieces.push(...splitSpan(text, from, to, maxTokens));
+      pieceStart = to;
+    } else if (estimateTokens(text.slice(pieceStart, to)) > maxTokens) {
+      pieces.push({ start: pieceStart, end: from });
+      pieceStart = from;
+    }
+  }
+
+  if (boundaries[boundaries.length - 1] > pieceStart) {
+    pieces.push({ start: pieceStart, end: boundaries[boundaries.length - 1] });
+  }
+
+  return pieces;
+}
+
+function pagesInRange(pages, start, end) {
+  const covered = pages.filter(page => page.charEnd > start && page.charStart < end);
+  return covered.length
+    ? { pageStart: covered[0].number, pageEnd: covered[covered.length - 1].number }
+    : { pageStart: null, pageEnd: null };
+}
+
+// Main chunking function
+export function chunkText(text, options = {}) {
+  const { maxTokens = 4000, pages } = options;
+  let spans;
+
+  if (Array.isArray(pages) && pages.length > 0) {
+    // Group whole pages; pages that alone exceed the budget are split further
+    spans = packBoundaries(text, [
+      0,
+      ...pages.slice(1).map(page => page.charStart),
+      text.length
+    ], maxTokens);
+  } else {
+    spans = splitSpan(text, 0, text.length, maxTokens);
+  }
+
+  return spans
+    .map(span => {
+      // Trim surrounding whitespace without losing the offsets
+      let { start, end } = span;
+      while (start < end && /\s/.test(text[start])) start++;
+      while (end > start && /\s/.test(text[end - 1])) end--;
+      return { start, end };
+    })
+    .filter(span => span.end > span.start)
+    .map((span, index) => {
+      const chunkText = text.slice(span.start, span.end);
+      return {
+        index,
+        text: chunkText,
+        charStart: span.start,
+        charEnd: span.end,
+        tokens: estimateTokens(chunkText),
+        ...(Array.isArray(pages) && pages.length > 0 ? pagesInRange(pages, span.start, span.end) : {})
+      };
+    });
+}
@@ -24,14 +24,30 @@ const corsOptions = {
       callback(new Error(`CORS policy violation: Origin ${origin} not allowed`));
     }
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
   allowedHeaders: [
     'Content-Type',
     'Authorization',
     'X-Requested-With',
     'Accept',
     'Origin',
-    'Cache-Control'
+    'Cache-Control',
+    // Resumable uploads (tus)
+    'Tus-Resumable',
+    'Upload-Length',
+    'Upload-Offset',
+    'Upload-Metadata'
+  ],
+  exposedHeaders: [
+    'Location',
+    'Tus-Resumable',
+    'Tus-Version',
+    'Tus-Extension',
+    'Tus-Max-Size',
+    'Upload-Length',
+    'Upload-Offset',
+    'Upload-Expires',
+    'Upload-Job-Id'
   ],
   credentials: true,
   maxAge: 86400, // 24 hours
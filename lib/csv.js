@@ -0,0 +1,25 @@
+// CSV export for extracted tables (RFC 4180, CRLF line endings)
+
+// Spreadsheet apps run cells starting with these as formulas; numbers like
+// -5 or +3.2 are left alone
+const FORMULA_PREFIX = /^(?:[=@\t\r]|[+-](?![\d.,\s%]*$))/;
+
+function csvField(value) {
+  let field = value == null ? '' : String(value);
+
+  if (FORMULA_PREFIX.test(field)) {
+    field = `'${field}`;
+  }
+
+  return /[",\r\n]|^\s|\s$/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+// Convert rows of cell values to CSV text
+export function toCsv(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Several tables in one file, separated by an empty line
+export function tablesToCsv(tables) {
+  return tables.map(table => toCsv(table.rows)).join('\r\n');
+}
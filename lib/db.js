@@ -1,4 +1,4 @@
-import { MongoClient } from 'mongodb';
+import { GridFSBucket, MongoClient } from 'mongodb';
 
 const uri = process.env.MONGODB_URI;
 const options = {
@@ -44,4 +44,26 @@ export async function getUsersCollection() {
 export async function getExtractionsCollection() {
   const db = await getDb();
   return db.collection('extractions');
+}
+
+export async function getJobsCollection() {
+  const db = await getDb();
+  return db.collection('jobs');
+}
+
+export async function getUploadsCollection() {
+  const db = await getDb();
+  return db.collection('uploads');
+}
+
+// Bytes of resumable uploads still in progress
+export async function getUploadPartsCollection() {
+  const db = await getDb();
+  return db.collection('uploadParts');
+}
+
+// Assembled uploads waiting for (or being processed by) an extraction job
+export async function getUploadFilesBucket() {
+  const db = await getDb();
+  return new GridFSBucket(db, { bucketName: 'uploadFiles' });
 }
\ No newline at end of file
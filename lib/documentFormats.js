@@ -0,0 +1,253 @@
+// Legacy Word (.doc), OpenDocument text (.odt) and EPUB extraction
+//
+// ODT and EPUB are zip+XML and are parsed locally; .doc (Word 97-2003 OLE
+// compound files) is read with word-extractor. Chapter and section headings
+// are rendered Markdown-style so they survive as sections in the final text.
+
+import WordExtractor from 'word-extractor';
+import { htmlToText } from './textFormats.js';
+import { childElements, descendants, openZip, readZipText, readZipXml, resolveZipPath } from './zipXml.js';
+import { readEpubMetadata, readOdfMetadata } from './documentMetadata.js';
+
+export const DOC_MIMETYPE = 'application/msword';
+export const ODT_MIMETYPE = 'application/vnd.oasis.opendocument.text';
+export const EPUB_MIMETYPE = 'application/epub+zip';
+
+const ODF_TEXT_NS = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0';
+const EPUB_OPS_NS = 'http://www.idpf.org/2007/ops';
+
+// Font obfuscation is the only encryption that leaves the text readable
+const EPUB_FONT_OBFUSCATION = [
+  'http://www.idpf.org/2008/embedding',
+  'http://ns.adobe.com/pdf/enc#RC'
+];
+
+// Extract text from a Word 97-2003 .doc buffer
+export async function extractTextFromDOC(buffer) {
+  try {
+    console.log('🔄 Starting DOC text extraction...');
+
+    const document = await new WordExtractor().extract(buffer);
+    const notes = [document.getFootnotes(), document.getEndnotes()]
+      .map(text => text.trim())
+      .filter(Boolean);
+
+    // word-extractor ends each paragraph with a single newline
+    const text = [document.getBody(), ...(notes.length ? ['# Notes', ...notes] : [])]
+      .join('\n')
+      .replace(/\n+/g, '\n\n')
+      .trim();
+
+    if (!text || text.length < 10) {
+      throw new Error('No readable text found in DOC file. The document may be empty.');
+    }
+
+    console.log(`✅ DOC extraction complete: ${text.length} characters`);
+    return { text };
+
+  } catch (error) {
+    console.error('❌ DOC extraction failed:', error);
+    throw new Error(`DOC processing failed: ${error.message}`);
+  }
+}
+
+// Inline text of an ODF paragraph or heading (spans, links, spacing)
+function odtInlineText(node) {
+  let text = '';
+
+  for (const child of Array.from(node.childNodes || [])) {
+    if (child.nodeType === 3) {
+      // ODF collapses whitespace in character data; <text:s> and <text:tab> are explicit
+      text += child.nodeValue.replace(/\s+/g, ' ');
+    } else if (child.nodeType === 1) {
+      if (child.localName === 's') {
+        text += ' '.repeat(Number(child.getAttributeNS(ODF_TEXT_NS, 'c')) || 1);
+      } else if (child.localName === 'tab') {
+        text += '\t';
+      } else if (child.localName === 'line-break') {
+        text += '\n';
+      } else if (!['note', 'annotation', 'tracked-changes', 'bookmark-ref'].includes(child.localName)) {
+        // Footnotes and comments are not part of the running text
+        text += odtInlineText(child);
+      }
+    }
+  }
+
+  return text.trim();
+}
+
+function odtListLines(list, depth) {
+  const lines = [];
+
+  for (const item of childElements(list).filter(child => ['list-item', 'list-header'].includes(child.localName))) {
+    for (const child of childElements(item)) {
+      if (child.localName === 'list') {
+        lines.push(...odtListLines(child, depth + 1));
+      } else if (child.localName === 'p' || child.localName === 'h') {
+        const text = odtInlineText(child);
+        if (text) lines.push(`${'  '.repeat(depth)}- ${text}`);
+      }
+    }
+  }
+
+  return lines;
+}
+
+// Render the body of an ODF text document as blocks: headings by outline
+// level, paragraphs, bulleted lists and table rows
+function odtBlocks(node, blocks = []) {
+  for (const child of childElements(node)) {
+    if (child.localName === 'h') {
+      const level = Math.min(6, Number(child.getAttributeNS(ODF_TEXT_NS, 'outline-level')) || 1);
+      const text = odtInlineText(child);
+      if (text) blocks.push(`${'#'.repeat(level)} ${text}`);
+    } else if (child.localName === 'p') {
+      const text = odtInlineText(child);
+      if (text) blocks.push(text);
+    } else if (child.localName === 'list') {
+      const lines = odtListLines(child, 0);
+      if (lines.length) blocks.push(lines.join('\n'));
+    } else if (child.localName === 'table') {
+      const rows = descendants(child, 'table-row')
+        .map(row => childElements(row, 'table-cell')
+          .map(cell => childElements(cell).map(odtInlineText).filter(Boolean).join(' ')))
+        .filter(cells => cells.some(Boolean))
+        .map(cells => cells.join(' | '));
+      if (rows.length) blocks.push(rows.join('\n'));
+    } else if (child.localName === 'section') {
+      odtBlocks(child, blocks);
+    }
+  }
+
+  return blocks;
+}
+
+// Extract text from an OpenDocument text (.odt) buffer
+export async function extractTextFromODT(buffer) {
+  try {
+    console.log('🔄 Starting ODT text extraction...');
+
+    const zip = await openZip(buffer);
+    const content = await readZipXml(zip, 'content.xml');
+    const body = content && descendants(content, 'text')
+      .find(element => element.parentNode?.localName === 'body');
+
+    if (!body) {
+      throw new Error('Invalid ODT file: missing document body');
+    }
+
+    const text = odtBlocks(body).join('\n\n');
+
+    if (!text || text.length < 10) {
+      throw new Error('No readable text found in ODT file. The document may be empty.');
+    }
+
+    console.log(`✅ ODT extraction complete: ${text.length} characters`);
+    return { text, document: await readOdfMetadata(zip) };
+
+  } catch (error) {
+    console.error('❌ ODT extraction failed:', error);
+    if (error.code) throw error;
+    throw new Error(`ODT processing failed: ${error.message}`);
+  }
+}
+
+// Chapter titles by content document path, from the EPUB 3 navigation
+// document or the EPUB 2 NCX
+async function readEpubToc(zip, manifest, ncxId) {
+  const titles = new Map();
+  const addTitle = (fromPath, href, title) => {
+    const path = href && resolveZipPath(fromPath, href);
+    if (path && title && !titles.has(path)) titles.set(path, title.replace(/\s+/g, ' ').trim());
+  };
+
+  const nav = [...manifest.values()].find(item => item.properties.includes('nav'));
+  const navDocument = nav && await readZipXml(zip, nav.path);
+  if (navDocument) {
+    const navs = descendants(navDocument, 'nav');
+    const toc = navs.find(element => element.getAttributeNS(EPUB_OPS_NS, 'type') === 'toc') || navs[0];
+    for (const link of toc ? descendants(toc, 'a') : []) {
+      addTitle(nav.path, link.getAttribute('href'), link.textContent);
+    }
+  }
+
+  const ncx = manifest.get(ncxId);
+  const ncxDocument = titles.size === 0 && ncx && await readZipXml(zip, ncx.path);
+  if (ncxDocument) {
+    for (const point of descendants(ncxDocument, 'navPoint')) {
+      const label = descendants(point, 'text')[0]?.textContent;
+      const src = childElements(point, 'content')[0]?.getAttribute('src');
+      addTitle(ncx.path, src, label);
+    }
+  }
+
+  return titles;
+}
+
+// Extract text from an EPUB buffer, chapter by chapter in reading order
+export async function extractTextFromEPUB(buffer) {
+  try {
+    console.log('🔄 Starting EPUB text extraction...');
+
+    const zip = await openZip(buffer);
+
+    const encryption = await readZipXml(zip, 'META-INF/encryption.xml');
+    const drm = encryption && descendants(encryption, 'EncryptionMethod')
+      .some(method => !EPUB_FONT_OBFUSCATION.includes(method.getAttribute('Algorithm')));
+    if (drm) {
+      const error = new Error('This EPUB is DRM-protected and cannot be read.');
+      error.code = 'EPUB_DRM_PROTECTED';
+      throw error;
+    }
+
+    const container = await readZipXml(zip, 'META-INF/container.xml');
+    const opfPath = container && descendants(container, 'rootfile')[0]?.getAttribute('full-path');
+    const opf = opfPath && await readZipXml(zip, opfPath);
+
+    if (!opf) {
+      throw new Error('Invalid EPUB file: missing package document');
+    }
+
+    const manifest = new Map(descendants(opf, 'item').map(item => [item.getAttribute('id'), {
+      path: resolveZipPath(opfPath, item.getAttribute('href')),
+      mediaType: item.getAttribute('media-type'),
+      properties: (item.getAttribute('properties') || '').split(/\s+/)
+    }]));
+
+    const spine = descendants(opf, 'spine')[0];
+    const titles = await readEpubToc(zip, manifest, spine?.getAttribute('toc'));
+
+    // Non-linear items are auxiliary (pop-up notes, answer keys)
+    const chapterPaths = (spine ? childElements(spine, 'itemref') : [])
+      .filter(itemref => itemref.getAttribute('linear') !== 'no')
+      .map(itemref => manifest.get(itemref.getAttribute('idref')))
+      .filter(item => item && /x?html/.test(item.mediaType))
+      .map(item => item.path);
+
+    const chapters = [];
+    for (const path of chapterPaths) {
+      const html = await readZipText(zip, path);
+      const text = html && htmlToText(html);
+      if (!text) continue;
+
+      // Keep chapter boundaries even when the chapter has no heading of its own
+      const tocTitle = titles.get(path);
+      chapters.push(!/^#{1,6} /.test(text) && tocTitle ? `# ${tocTitle}\n\n${text}` : text);
+    }
+
+    const text = chapters.join('\n\n');
+    console.log(`📚 EPUB has ${chapterPaths.length} content documents`);
+
+    if (!text || text.length < 10) {
+      throw new Error('No readable text found in EPUB file. The book may be empty.');
+    }
+
+    console.log(`✅ EPUB extraction complete: ${text.length} characters`);
+    return { text, chapterCount: chapters.length, document: readEpubMetadata(opf) };
+
+  } catch (error) {
+    console.error('❌ EPUB extraction failed:', error);
+    if (error.code) throw error;
+    throw new Error(`EPUB processing failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,139 @@
+// Document properties (title, author, dates, ...) and text language
+//
+// PDFs keep their properties in the info dictionary (with XMP as a fallback),
+// Office Open XML files in docProps/core.xml and app.xml, OpenDocument files
+// in meta.xml and EPUBs in the package document. All are normalized to
+// { title, author, subject, keywords, language, createdAt, modifiedAt,
+//   application, pageCount } with missing fields left out.
+
+import { franc } from 'franc-min';
+import { PDFDateString } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { childElements, descendants, readZipXml } from './zipXml.js';
+
+// Below this, trigram statistics are mostly noise
+const MIN_LANGUAGE_SAMPLE = 50;
+const MAX_LANGUAGE_SAMPLE = 20000;
+
+const ODF_META_NS = 'urn:oasis:names:tc:opendocument:xmlns:meta:1.0';
+
+// XMP bags and sequences (several authors) come back as arrays
+function cleanString(value) {
+  const joined = Array.isArray(value) ? value.filter(item => typeof item === 'string').join(', ') : value;
+  const text = typeof joined === 'string' ? joined.replace(/\s+/g, ' ').trim() : '';
+  return text || null;
+}
+
+function toIsoDate(value) {
+  const date = value instanceof Date ? value : value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function splitKeywords(value) {
+  const keywords = (Array.isArray(value) ? value : [value])
+    .flatMap(keyword => (cleanString(keyword) || '').split(/[,;]/))
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+  return keywords.length ? [...new Set(keywords)] : null;
+}
+
+// Drop empty fields so stored documents stay small and easy to filter
+function compact(fields) {
+  const entries = Object.entries(fields).filter(([, value]) => value !== null && value !== undefined);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+function firstText(node, localName) {
+  return cleanString(node && descendants(node, localName)[0]?.textContent);
+}
+
+// Properties of a loaded pdf.js document
+export async function readPdfMetadata(pdf) {
+  const { info = {}, metadata } = await pdf.getMetadata();
+  const xmp = name => cleanString(metadata?.get(name));
+  const pdfDate = value => toIsoDate(value && PDFDateString.toDateObject(value));
+
+  return compact({
+    title: cleanString(info.Title) || xmp('dc:title'),
+    author: cleanString(info.Author) || xmp('dc:creator'),
+    subject: cleanString(info.Subject) || xmp('dc:description'),
+    keywords: splitKeywords(info.Keywords || xmp('pdf:keywords')),
+    language: cleanString(info.Language),
+    createdAt: pdfDate(info.CreationDate) || toIsoDate(xmp('xmp:createdate')),
+    modifiedAt: pdfDate(info.ModDate) || toIsoDate(xmp('xmp:modifydate')),
+    application: cleanString(info.Creator) || cleanString(info.Producer),
+    pageCount: pdf.numPages
+  });
+}
+
+// Properties of a DOCX or PPTX package
+export async function readOoxmlMetadata(zip) {
+  const core = await readZipXml(zip, 'docProps/core.xml');
+  const app = await readZipXml(zip, 'docProps/app.xml');
+  // Word caches the page count when saving; PowerPoint stores slides
+  const pages = Number(firstText(app, 'Pages') || firstText(app, 'Slides'));
+
+  return compact({
+    title: firstText(core, 'title'),
+    author: firstText(core, 'creator'),
+    subject: firstText(core, 'subject'),
+    keywords: splitKeywords(firstText(core, 'keywords')),
+    language: firstText(core, 'language'),
+    createdAt: toIsoDate(firstText(core, 'created')),
+    modifiedAt: toIsoDate(firstText(core, 'modified')),
+    application: firstText(app, 'Application'),
+    pageCount: pages > 0 ? pages : null
+  });
+}
+
+// Properties of an OpenDocument package (meta.xml)
+export async function readOdfMetadata(zip) {
+  const meta = await readZipXml(zip, 'meta.xml');
+  const statistics = meta && descendants(meta, 'document-statistic')[0];
+  const pages = Number(statistics?.getAttributeNS(ODF_META_NS, 'page-count'));
+
+  return compact({
+    title: firstText(meta, 'title'),
+    author: firstText(meta, 'initial-creator') || firstText(meta, 'creator'),
+    subject: firstText(meta, 'subject'),
+    keywords: splitKeywords(meta ? descendants(meta, 'keyword').map(keyword => keyword.textContent) : null),
+    language: firstText(meta, 'language'),
+    createdAt: toIsoDate(firstText(meta, 'creation-date')),
+    modifiedAt: toIsoDate(firstText(meta, 'date')),
+    application: firstText(meta, 'generator'),
+    pageCount: pages > 0 ? pages : null
+  });
+}
+
+// Properties from an EPUB package document (OPF)
+export function readEpubMetadata(opf) {
+  const metadata = descendants(opf, 'metadata')[0];
+  const modified = metadata && childElements(metadata, 'meta')
+    .find(meta => meta.getAttribute('property') === 'dcterms:modified');
+  const authors = metadata ? descendants(metadata, 'creator').map(creator => cleanString(creator.textContent)).filter(Boolean) : [];
+
+  return compact({
+    title: firstText(metadata, 'title'),
+    author: authors.length ? authors.join(', ') : null,
+    subject: firstText(metadata, 'description'),
+    keywords: splitKeywords(metadata ? descendants(metadata, 'subject').map(subject => subject.textContent) : null),
+    language: firstText(metadata, 'language'),
+    createdAt: toIsoDate(firstText(metadata, 'date')),
+    modifiedAt: toIsoDate(cleanString(modified?.textContent))
+  });
+}
+
+// Detect the natural language of extracted text. Returns an ISO 639-3 code
+// (e.g. "eng", "deu"), or null when the text is too short or ambiguous
+export function detectLanguage(text) {
+  const sample = text
+    .slice(0, MAX_LANGUAGE_SAMPLE)
+    // Headings markers, table separators, numbers and URLs carry no language
+    .replace(/https?:\/\/\S+|[#|*_\-[\]()]|\d+/g, ' ');
+
+  if (sample.replace(/\s+/g, '').length < MIN_LANGUAGE_SAMPLE) {
+    return null;
+  }
+
+  const language = franc(sample, { minLength: MIN_LANGUAGE_SAMPLE });
+  return language === 'und' ? null : language;
+}
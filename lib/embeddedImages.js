@@ -0,0 +1,124 @@
+// Embedded images in PDFs and DOCX files, for OCR
+//
+// Screenshots of code, labelled diagrams and pasted slides carry text that the
+// document's text layer doesn't. PDF images are found by replaying the page's
+// operator list, which also gives each image's position on the page so its OCR
+// text can be placed in reading order.
+
+import sharp from 'sharp';
+import { ImageKind, OPS } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// Icons, bullets and rules are too small to hold readable text
+const MIN_IMAGE_SIDE = 64;
+
+function multiply([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
+
+// Bounds of the unit square an image is painted into, in PDF user space
+function imageBounds(matrix) {
+  const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([x, y]) => [
+    matrix[0] * x + matrix[2] * y + matrix[4],
+    matrix[1] * x + matrix[3] * y + matrix[5]
+  ]);
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return { x0: Math.min(...xs), x1: Math.max(...xs), y: Math.max(...ys), y0: Math.min(...ys) };
+}
+
+// Resolve a decoded image object from pdf.js (page or document-wide cache)
+function getImageObject(page, objId) {
+  const objs = objId.startsWith('g_') ? page.commonObjs : page.objs;
+  return new Promise(resolve => objs.get(objId, resolve));
+}
+
+// Encode pdf.js image data ({ width, height, kind, data }) as PNG
+async function imageDataToPng(image) {
+  const { width, height, kind } = image;
+  let data = image.data;
+  let channels = kind === ImageKind.RGBA_32BPP ? 4 : 3;
+
+  if (kind === ImageKind.GRAYSCALE_1BPP) {
+    // Rows are padded to whole bytes, 1 = white
+    const rowBytes = Math.ceil(width / 8);
+    data = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = image.data[y * rowBytes + (x >> 3)] & (0x80 >> (x & 7));
+        data[y * width + x] = bit ? 255 : 0;
+      }
+    }
+    channels = 1;
+  }
+
+  return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+    raw: { width, height, channels }
+  }).png().toBuffer();
+}
+
+// Images painted on a PDF page, top to bottom, as
+// [{ buffer (PNG), x0, x1, y (top), y0 (bottom) }] in PDF user space
+export async function extractPdfPageImages(page) {
+  const operatorList = await page.getOperatorList();
+  const painted = [];
+  const stack = [];
+  let matrix = [1, 0, 0, 1, 0, 0];
+
+  operatorList.fnArray.forEach((fn, i) => {
+    const args = operatorList.argsArray[i];
+
+    if (fn === OPS.save) {
+      stack.push(matrix);
+    } else if (fn === OPS.restore) {
+      matrix = stack.pop() || matrix;
+    } else if (fn === OPS.transform) {
+      matrix = multiply(matrix, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(matrix);
+      if (args[0]) matrix = multiply(matrix, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      matrix = stack.pop() || matrix;
+    } else if (fn === OPS.paintImageXObject) {
+      painted.push({ objId: args[0], matrix });
+    } else if (fn === OPS.paintInlineImageXObject) {
+      painted.push({ image: args[0], matrix });
+    }
+  });
+
+  const images = [];
+  for (const { objId, image, matrix: imageMatrix } of painted) {
+    try {
+      const data = image || await getImageObject(page, objId);
+      if (!data?.data || Math.min(data.width, data.height) < MIN_IMAGE_SIDE) continue;
+
+      images.push({ buffer: await imageDataToPng(data), ...imageBounds(imageMatrix) });
+    } catch (error) {
+      console.warn(`⚠️ Could not read embedded image ${objId || '(inline)'}:`, error.message);
+    }
+  }
+
+  return images.sort((a, b) => b.y - a.y || a.x0 - b.x0);
+}
+
+// Whether an embedded image (any format) is worth sending to OCR; formats
+// sharp can't decode, such as EMF/WMF drawings, are skipped
+export async function isOcrCandidate(buffer) {
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    return Math.min(width, height) >= MIN_IMAGE_SIDE;
+  } catch {
+    return false;
+  }
+}
+
+// Mark OCR text from embedded image `number` where the image was
+export function imageTextBlock(number, text) {
+  return `[Image ${number}]\n${text}\n[/Image ${number}]`;
+}
@@ -0,0 +1,158 @@
+// Upload options, saving and reporting of extractions, shared by the single
+// and batch upload endpoints
+
+import { parseOcrLanguages } from './ocrLanguages.js';
+import { parsePreprocessSteps } from './imagePreprocessor.js';
+import { getExtractionsCollection } from './db.js';
+
+// Options from the multipart form fields. Throws a coded error for invalid
+// OCR languages or preprocessing steps
+export function parseUploadOptions(body = {}) {
+  // Optional password for encrypted PDFs (multipart text field)
+  const password = typeof body.password === 'string' && body.password
+    ? body.password
+    : undefined;
+
+  // Optional OCR languages ("eng+deu+urd") or "auto" to detect the script,
+  // and image preprocessing before OCR ("auto" or e.g. "deskew,threshold")
+  const ocrLanguages = parseOcrLanguages(body.ocrLanguages);
+  const preprocess = parsePreprocessSteps(body.preprocess);
+
+  // Optional OCR of images embedded in PDF/DOCX files ("true")
+  const ocrImages = ['true', '1', 'on'].includes(String(body.ocrImages || '').toLowerCase());
+
+  return { password, ocrLanguages, preprocess, ocrImages };
+}
+
+// Save a processed file to the user's history. Returns the extraction id, or
+// null for guests and when saving fails - a database problem shouldn't lose
+// the extracted text the client is about to receive
+export async function saveExtraction(result, user, fields = {}) {
+  if (!user || user.role !== 'user') {
+    console.log('👤 Guest user - not saving to database');
+    return null;
+  }
+
+  try {
+    const extractions = await getExtractionsCollection();
+
+    const extractionDoc = {
+      userId: user.userId,
+      filename: result.metadata.filename,
+      fileType: result.metadata.fileType,
+      mimetype: result.metadata.mimetype,
+      fileSize: result.metadata.size,
+      extractedText: result.text,
+      // Page ranges only - the text is in extractedText (see withPageText)
+      ...(result.pages && { pages: result.pages.map(({ text, ...page }) => page) }),
+      ...(result.slides && { slides: result.slides }),
+      ...(result.sections && { sections: result.sections }),
+      ...(result.tables && { tables: result.tables }),
+      ...(result.ocr && { ocr: result.ocr }),
+      extractedLength: result.metadata.extractedLength,
+      wordCount: result.metadata.wordCount,
+      ...(result.metadata.pageCount && { pageCount: result.metadata.pageCount }),
+      ...(result.metadata.tableCount && { tableCount: result.metadata.tableCount }),
+      ...(result.metadata.document && { document: result.metadata.document }),
+      ...(result.metadata.language && { language: result.metadata.language }),
+      ...(result.metadata.ocrPages && { ocrPages: result.metadata.ocrPages }),
+      ...(result.metadata.ocrConfidence != null && { ocrConfidence: result.metadata.ocrConfidence }),
+      ...(result.metadata.preprocessing && { preprocessing: result.metadata.preprocessing }),
+      ...(result.metadata.imageOcr && { imageOcr: result.metadata.imageOcr }),
+      ...(result.metadata.ocrLanguages && { ocrLanguages: result.metadata.ocrLanguages }),
+      ...(result.metadata.detectedScript && { detectedScript: result.metadata.detectedScript }),
+      ...fields,
+      createdAt: new Date(),
+      version: '3.0'
+    };
+
+    const insertResult = await extractions.insertOne(extractionDoc);
+    const savedId = insertResult.insertedId.toString();
+
+    console.log(`✅ Extraction saved to database: ${savedId}`);
+    return savedId;
+  } catch (dbError) {
+    console.error('⚠️ Database save failed (non-critical):', dbError);
+    return null;
+  }
+}
+
+// A saved extraction's pages with their text, cut from extractedText
+export function withPageText(pages, extractedText) {
+  return pages.map(page => ({ ...page, text: extractedText.slice(page.charStart, page.charEnd) }));
+}
+
+// Response body for a processed file
+export function extractionResponse(result, user, savedId) {
+  return {
+    text: result.text,
+    ...(result.pages && { pages: result.pages }),
+    // Per-slide titles, body text and speaker notes (PPTX only)
+    ...(result.slides && { slides: result.slides }),
+    // Chapter/section tree with character ranges into `text`
+    ...(result.sections && { sections: result.sections }),
+    // Tables as rows of cells (PDF and DOCX); CSV via /api/history/[id]/tables
+    ...(result.tables && { tables: result.tables }),
+    // OCR confidence with per-line/word confidence and bounding boxes
+    ...(result.ocr && { ocr: result.ocr }),
+    metadata: {
+      ...result.metadata,
+      processingTime: Date.now(),
+      userType: user?.role || 'guest'
+    },
+    ...(savedId && { savedId })
+  };
+}
+
+// HTTP status and user-friendly error body for a file that failed to process
+export function describeProcessingError(error) {
+  if (error.message.includes('No readable text')) {
+    return {
+      status: 422,
+      body: { error: 'No readable text found in the file. Please ensure the file contains text content.' }
+    };
+  }
+
+  // The content isn't what the client said it was, or isn't a supported format
+  if (error.code === 'FILE_TYPE_MISMATCH' || error.code === 'UNSUPPORTED_FILE_TYPE') {
+    return { status: 415, body: { error: error.message, code: error.code } };
+  }
+
+  // Distinct codes so the client can prompt for (or re-prompt for) the password
+  if (error.code === 'PDF_PASSWORD_REQUIRED' || error.code === 'PDF_PASSWORD_INCORRECT') {
+    return {
+      status: 401,
+      body: {
+        error: error.code === 'PDF_PASSWORD_REQUIRED'
+          ? 'This PDF is password-protected. Please provide the password.'
+          : 'Incorrect password for this PDF. Please try again.',
+        code: error.code
+      }
+    };
+  }
+
+  // A zip-based document that unpacks to more than its archive budget, or a
+  // job result too large to store
+  if (error.code === 'FILE_TOO_LARGE' || error.code === 'RESULT_TOO_LARGE') {
+    return { status: 413, body: { error: error.message, code: error.code } };
+  }
+
+  if (error.code === 'EPUB_DRM_PROTECTED') {
+    return {
+      status: 422,
+      body: { error: 'This EPUB is DRM-protected. Please upload a DRM-free copy.', code: error.code }
+    };
+  }
+
+  if (error.message.includes('corrupted') || error.message.includes('Invalid')) {
+    return {
+      status: 422,
+      body: { error: 'The file appears to be corrupted or invalid. Please try a different file.' }
+    };
+  }
+
+  return {
+    status: 500,
+    body: { error: 'Failed to process the uploaded file. Please try again.' }
+  };
+}
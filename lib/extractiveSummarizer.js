@@ -0,0 +1,439 @@
+// Dependency-free extractive summarization engine
+//
+// Pipeline: sentence segmentation (with character offsets into the original
+// text) -> TF-IDF sentence vectors -> TextRank over the cosine similarity
+// graph -> redundancy-aware selection (MMR) up to the requested length.
+
+const DEFAULT_SENTENCE_COUNT = 5;
+const DAMPING_FACTOR = 0.85;
+const MAX_ITERATIONS = 100;
+const CONVERGENCE_THRESHOLD = 1e-6;
+const MMR_LAMBDA = 0.7;
+const REDUNDANCY_THRESHOLD = 0.65;
+const MIN_SENTENCE_WORDS = 3;
+// TextRank builds a full similarity matrix and runs synchronously on the API
+// event loop; beyond this size fall back to centroid scoring, which is linear
+const MAX_GRAPH_SENTENCES = 400;
+
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'vs', 'etc', 'e.g', 'i.e',
+  'fig', 'figs', 'eq', 'eqs', 'no', 'vol', 'pp', 'p', 'ch', 'sec', 'approx',
+  'dept', 'inc', 'ltd', 'co', 'corp', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul',
+  'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'al', 'cf', 'ca', 'min', 'max'
+]);
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an',
+  'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being',
+  'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had',
+  'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him',
+  'himself', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself',
+  'just', 'may', 'me', 'might', 'more', 'most', 'must', 'my', 'myself', 'no',
+  'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our',
+  'ours', 'ourselves', 'out', 'over', 'own', 'same', 'shall', 'she', 'should',
+  'so', 'some', 'such', 'than', 'that', 'the', 'their', 'theirs', 'them',
+  'themselves', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+  'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'while', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+// Split text into sentences, keeping offsets into the original string
+export function segmentSentences(text) {
+  const sentences = [];
+  // A sentence ends at terminal punctuation (optionally followed by closing
+  // quotes/brackets) before whitespace, at a blank line, or around a list
+  // item or Markdown heading line. Indented lines continue a list item. The
+  // lookbehinds come after the newline so they only run at line breaks.
+  const boundary = /([.!?…]+["'”’)\]]*)(?=\s)|\n[ \t]*\n|\n(?=[ \t]*(?:[-*•▪◦]|\d+[.)]|#{1,6})\s)|\n(?<=^[ \t]*#{1,6}[ \t][^\n]*\n)|\n(?<=^[ \t]*(?:[-*•▪◦]|\d+[.)])[ \t][^\n]*\n)(?![ \t])/gm;
+
+  let start = 0;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match[1] ? match.index + match[1].length : match.index;
+
+    if (match[1] && isFalseBoundary(text, match.index, match[1])) {
+      continue;
+    }
+
+    pushSentence(text, start, end, sentences);
+    start = match.index + match[0].length;
+  }
+
+  pushSentence(text, start, text.length, sentences);
+
+  return sentences.map((sentence, index) => ({ ...sentence, index }));
+}
+
+function pushSentence(text, start, end, sentences) {
+  let from = start;
+  let to = end;
+
+  while (from < to && /\s/.test(text[from])) from++;
+  while (to > from && /\s/.test(text[to - 1])) to--;
+
+  // Drop list bullets so they don't leak into summaries
+  const bullet = text.slice(from, to).match(/^[-*•▪◦]\s+/);
+  if (bullet) from += bullet[0].length;
+
+  if (to > from) {
+    sentences.push({
+      text: text.slice(from, to).replace(/\s+/g, ' '),
+      start: from,
+      end: to
+    });
+  }
+}
+
+// Detect periods that do not end a sentence (abbreviations, initials, decimals)
+function isFalseBoundary(text, index, punctuation) {
+  if (punctuation[0] !== '.' || punctuation.length > 1) {
+    return false;
+  }
+
+  const before = text.slice(Math.max(0, index - 12), index);
+  const word = (before.match(/([A-Za-z.]+)$/) || [])[1] || '';
+  const after = text.slice(index + 1).match(/^\s+(\S)/);
+
+  // Numbered list markers such as "1. Ribosomes"
+  if (/(?:^|\n)[ \t]*\d+$/.test(text.slice(Math.max(0, index - 12), index))) {
+    return true;
+  }
+
+  // Single-letter initials such as "J. Smith"
+  if (/^[A-Z]$/.test(word)) {
+    return true;
+  }
+
+  if (ABBREVIATIONS.has(word.toLowerCase().replace(/\.$/, ''))) {
+    return true;
+  }
+
+  // Next sentence should start with an uppercase letter, digit, quote or bracket
+  if (after && /[a-z]/.test(after[1])) {
+    return true;
+  }
+
+  return false;
+}
+
+// Lowercase, strip punctuation, drop stop words and apply light stemming
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+    .map(token => token.replace(/'s$/, '').replace(/^-+|-+$/g, ''))
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+    .map(stem);
+}
+
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word
+    .replace(/(ational|ation)$/, 'ate')
+    .replace(/(ies)$/, 'y')
+    .replace(/(ing|edly|ed|ly|ness|ment)$/, '')
+    .replace(/([^s])s$/, '$1');
+}
+
+// Build TF-IDF vectors, treating each sentence as a document
+function buildVectors(tokenLists) {
+  const documentFrequency = new Map();
+
+  for (const tokens of tokenLists) {
+    for (const token of new Set(tokens)) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  const documentCount = tokenLists.length;
+
+  return tokenLists.map(tokens => {
+    const termFrequency = new Map();
+    for (const token of tokens) {
+      termFrequency.set(token, (termFrequency.get(token) || 0) + 1);
+    }
+
+    const vector = new Map();
+    let norm = 0;
+
+    for (const [token, count] of termFrequency) {
+      const idf = Math.log((1 + documentCount) / (1 + documentFrequency.get(token))) + 1;
+      const weight = (count / tokens.length) * idf;
+      vector.set(token, weight);
+      norm += weight * weight;
+    }
+
+    return { vector, norm: Math.sqrt(norm) };
+  });
+}
+
+function cosineSimilarity(a, b) {
+  if (!a.norm || !b.norm) return 0;
+
+  const [smaller, larger] = a.vector.size < b.vector.size ? [a, b] : [b, a];
+  let dot = 0;
+
+  for (const [token, weight] of smaller.vector) {
+    const other = larger.vector.get(token);
+    if (other) dot += weight * other;
+  }
+
+  return dot / (a.norm * b.norm);
+}
+
+// Unit-length vectors over numbered terms, so similarities come down to a
+// few typed-array reads: spread one sentence's weights over a vocabulary-sized
+// array with `scatter`, then `dotWith` any other sentence
+function numberedVectors(vectors) {
+  const termIds = new Map();
+
+  const numbered = vectors.map(({ vector, norm }) => {
+    const ids = new Int32Array(vector.size);
+    const weights = new Float64Array(vector.size);
+    let k = 0;
+    for (const [token, weight] of vector) {
+      if (!termIds.has(token)) termIds.set(token, termIds.size);
+      ids[k] = termIds.get(token);
+      weights[k] = norm ? weight / norm : 0;
+      k++;
+    }
+    return { ids, weights };
+  });
+
+  const dense = new Float64Array(termIds.size);
+
+  return {
+    count: numbered.length,
+    scatter(i, clear = false) {
+      const { ids, weights } = numbered[i];
+      for (let k = 0; k < ids.length; k++) dense[ids[k]] = clear ? 0 : weights[k];
+    },
+    dotWith(j) {
+      const { ids, weights } = numbered[j];
+      let dot = 0;
+      for (let k = 0; k < ids.length; k++) dot += dense[ids[k]] * weights[k];
+      return dot;
+    }
+  };
+}
+
+// Pairwise cosine similarities as a flat count x count matrix (zero diagonal)
+function similarityMatrix(vectors) {
+  const { count } = vectors;
+  const matrix = new Float64Array(count * count);
+
+  for (let i = 0; i < count; i++) {
+    vectors.scatter(i);
+    for (let j = i + 1; j < count; j++) {
+      const value = vectors.dotWith(j);
+      matrix[i * count + j] = value;
+      matrix[j * count + i] = value;
+    }
+    vectors.scatter(i, true);
+  }
+
+  return matrix;
+}
+
+// Weighted PageRank over the sentence similarity graph
+function textRank(similarity, count) {
+  // Row-normalize once: transition[j][i] is the share of j's weight sent to i
+  const transition = new Float64Array(count * count);
+  for (let j = 0; j < count; j++) {
+    let outWeight = 0;
+    for (let i = 0; i < count; i++) outWeight += similarity[j * count + i];
+    if (outWeight > 0) {
+      for (let i = 0; i < count; i++) transition[j * count + i] = similarity[j * count + i] / outWeight;
+    }
+  }
+
+  let scores = new Float64Array(count).fill(1 / count);
+  let next = new Float64Array(count);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    next.fill((1 - DAMPING_FACTOR) / count);
+
+    for (let j = 0; j < count; j++) {
+      const share = DAMPING_FACTOR * scores[j];
+      const row = j * count;
+      for (let i = 0; i < count; i++) {
+        next[i] += share * transition[row + i];
+      }
+    }
+
+    let delta = 0;
+    for (let i = 0; i < count; i++) delta += Math.abs(next[i] - scores[i]);
+    [scores, next] = [next, scores];
+
+    if (delta < CONVERGENCE_THRESHOLD) break;
+  }
+
+  return Array.from(scores);
+}
+
+// Score each sentence by its TF-IDF similarity to the document centroid
+function centroidScores(vectors) {
+  const centroid = new Map();
+
+  for (const { vector } of vectors) {
+    for (const [token, weight] of vector) {
+      centroid.set(token, (centroid.get(token) || 0) + weight);
+    }
+  }
+
+  let norm = 0;
+  for (const weight of centroid.values()) norm += weight * weight;
+
+  const centroidVector = { vector: centroid, norm: Math.sqrt(norm) };
+  return vectors.map(vector => cosineSimilarity(vector, centroidVector));
+}
+
+// Translate { sentences | words | ratio } into a selection budget
+function resolveTarget(options, candidates, totalSentences) {
+  if (options.words) {
+    return { type: 'words', limit: options.words };
+  }
+
+  if (options.ratio) {
+    return {
+      type: 'sentences',
+      limit: Math.max(1, Math.round(totalSentences * options.ratio))
+    };
+  }
+
+  return {
+    type: 'sentences',
+    limit: Math.min(options.sentences || DEFAULT_SENTENCE_COUNT, candidates.length)
+  };
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+// Main extractive summarization function
+export function summarizeExtractive(text, options = {}) {
+  const sentences = segmentSentences(text);
+  const tokenLists = sentences.map(sentence => tokenize(sentence.text));
+
+  // Headings label content rather than summarize it
+  const candidates = sentences.filter((sentence, i) =>
+    countWords(sentence.text) >= MIN_SENTENCE_WORDS
+      && tokenLists[i].length > 0
+      && !sentence.text.startsWith('#')
+  );
+
+  const algorithm = candidates.length > MAX_GRAPH_SENTENCES
+    ? 'tfidf'
+    : options.algorithm || 'textrank';
+
+  if (candidates.length === 0) {
+    return { summary: '', sentences: [], totalSentences: sentences.length, algorithm };
+  }
+
+  const candidateVectors = buildVectors(candidates.map(sentence => tokenLists[sentence.index]));
+  const numbered = numberedVectors(candidateVectors);
+
+  const rawScores = algorithm === 'tfidf'
+    ? centroidScores(candidateVectors)
+    : textRank(similarityMatrix(numbered), numbered.count);
+
+  const maxScore = Math.max(...rawScores) || 1;
+  const scores = rawScores.map(score => score / maxScore);
+
+  const target = resolveTarget(options, candidates, sentences.length);
+
+  // Maximal marginal relevance: trade relevance against similarity to what is
+  // already selected, and skip near-duplicates outright. Each candidate's
+  // redundancy (its highest similarity to a selected sentence) is updated as
+  // sentences are selected. With a word budget, sentences that no longer fit
+  // are passed over - they won't fit later either.
+  const selected = [];
+  const remaining = new Set(candidates.map((_, i) => i));
+  const redundancy = new Float64Array(candidates.length);
+  const wordCounts = candidates.map(sentence => countWords(sentence.text));
+  let wordTotal = 0;
+
+  while (remaining.size > 0) {
+    if (target.type === 'sentences' && selected.length >= target.limit) break;
+
+    let best = -1;
+    let bestValue = -Infinity;
+
+    for (const i of remaining) {
+      if (redundancy[i] > REDUNDANCY_THRESHOLD) continue;
+      if (target.type === 'words' && selected.length > 0 && wordTotal + wordCounts[i] > target.limit) continue;
+
+      const value = MMR_LAMBDA * scores[i] - (1 - MMR_LAMBDA) * redundancy[i];
+      if (value > bestValue) {
+        bestValue = value;
+        best = i;
+      }
+    }
+
+    if (best === -1) break;
+    remaining.delete(best);
+    selected.push(best);
+    wordTotal += wordCounts[best];
+
+    numbered.scatter(best);
+    for (const i of remaining) {
+      redundancy[i] = Math.max(redundancy[i], numbered.dotWith(i));
+    }
+    numbered.scatter(best, true);
+  }
+
+  const ranked = selected.map((i, rank) => ({
+    text: candidates[i].text,
+    start: candidates[i].start,
+    end: candidates[i].end,
+    index: candidates[i].index,
+    score: Number(scores[i].toFixed(4)),
+    rank: rank + 1
+  }));
+
+  const ordered = [...ranked].sort((a, b) => a.start - b.start);
+
+  return {
+    summary: ordered.map(sentence => sentence.text).join(' '),
+    sentences: ranked,
+    totalSentences: sentences.length,
+    algorithm
+  };
+}
+
+// Rank key terms by summed TF-IDF weight across sentences
+export function extractKeywords(text, options = {}) {
+  const limit = options.limit || 10;
+  const sentences = segmentSentences(text);
+  const vectors = buildVectors(sentences.map(sentence => tokenize(sentence.text)));
+
+  // Remember the most common surface form for each stemmed term
+  const surfaceCounts = new Map();
+  for (const word of text.match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || []) {
+    const [term] = tokenize(word);
+    if (!term) continue;
+
+    const forms = surfaceCounts.get(term) || new Map();
+    forms.set(word, (forms.get(word) || 0) + 1);
+    surfaceCounts.set(term, forms);
+  }
+
+  const totals = new Map();
+  for (const { vector } of vectors) {
+    for (const [term, weight] of vector) {
+      totals.set(term, (totals.get(term) || 0) + weight);
+    }
+  }
+
+  return [...totals.entries()]
+    .filter(([term]) => !/^\d+$/.test(term))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([term, score]) => {
+      const forms = [...(surfaceCounts.get(term) || new Map([[term, 1]])).entries()]
+        .sort((a, b) => b[1] - a[1]);
+      return { term, surface: forms[0][0], score: Number(score.toFixed(4)) };
+    });
+}
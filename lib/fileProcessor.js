@@ -1,6 +1,31 @@
 import mammoth from 'mammoth';
-import { createWorker } from 'tesseract.js';
-import { getDocument } from 'pdfjs-dist/legacy/build/pdf.js';
+import JSZip from 'jszip';
+import { extname } from 'path';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { analyzePageLayout, detectBodyFontSize } from './pdfLayout.js';
+import {
+  AUTO_OCR_LANGUAGES,
+  DEFAULT_OCR_LANGUAGES,
+  languagesForScript,
+  parseOcrLanguages,
+  usesLatinWhitelist
+} from './ocrLanguages.js';
+import { PREPROCESS_STEPS, countImageFrames, extractImageFrame, preprocessImage } from './imagePreprocessor.js';
+import { withOcrWorker } from './ocrPool.js';
+import { TEXT_FORMATS, TEXT_MIMETYPES, decodeText, extractTextFromTextFile, looksLikeText } from './textFormats.js';
+import {
+  DOC_MIMETYPE,
+  EPUB_MIMETYPE,
+  ODT_MIMETYPE,
+  extractTextFromDOC,
+  extractTextFromEPUB,
+  extractTextFromODT
+} from './documentFormats.js';
+import { extractSections } from './sections.js';
+import { detectLanguage, readOoxmlMetadata, readPdfMetadata } from './documentMetadata.js';
+import { htmlToMarkdown } from './htmlMarkdown.js';
+import { extractPdfPageImages, imageTextBlock, isOcrCandidate } from './embeddedImages.js';
+import { childElements, descendants, openZip, readRelationships, readZipText, readZipXml, repackZip } from './zipXml.js';
 
 // Configure PDF.js for Node.js environment
 if (typeof globalThis !== 'undefined' && !globalThis.btoa) {
@@ -8,8 +33,98 @@ if (typeof globalThis !== 'undefined' && !globalThis.btoa) {
   globalThis.atob = (str) => Buffer.from(str, 'base64').toString('binary');
 }
 
-// Extract text from PDF buffer
-export async function extractTextFromPDF(buffer) {
+// Create an error carrying a machine-readable code for API clients
+export function createProcessingError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Pass extraction progress to options.onProgress, if given, as
+// { stage, progress (0-1 of the file), page?, pageCount?, ocrProgress? (0-1 of the current image) }.
+// Progress is only reported, so a failing listener doesn't fail the extraction
+function reportProgress(options, event) {
+  if (!options?.onProgress) return;
+
+  try {
+    options.onProgress(event);
+  } catch (error) {
+    console.warn('⚠️ Progress listener failed:', error.message);
+  }
+}
+
+// Normalize line endings and whitespace. Idempotent, so text normalized per
+// page keeps its offsets when the joined document is normalized again.
+export function normalizeText(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .replace(/\r/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/[ \t]+$/gm, '')
+    .trim();
+}
+
+// Join per-page text into one document, recording each page's character range
+export function joinPages(pageTexts) {
+  let text = '';
+  const pages = pageTexts.map((pageText, i) => {
+    const normalized = normalizeText(pageText);
+
+    if (normalized && text) {
+      text += '\n\n';
+    }
+
+    const charStart = text.length;
+    text += normalized;
+
+    return {
+      number: i + 1,
+      text: normalized,
+      charStart,
+      charEnd: text.length
+    };
+  });
+
+  return { text, pages };
+}
+
+// Pages with fewer non-whitespace characters than this are treated as having
+// no text layer (scans often carry only a page number or a stray header)
+const MIN_TEXT_LAYER_CHARS = 20;
+const PDF_OCR_SCALE = Number(process.env.PDF_OCR_SCALE) || 2.5;
+// Also caps the frames OCR'd from multi-page TIFFs and animated GIFs
+const PDF_OCR_MAX_PAGES = Number(process.env.PDF_OCR_MAX_PAGES) || 50;
+// Embedded images OCR'd per document with { ocrImages: true }
+const OCR_MAX_IMAGES = Number(process.env.OCR_MAX_IMAGES) || 20;
+// Photos without text still yield a few low-confidence "words"
+const MIN_IMAGE_OCR_CONFIDENCE = 40;
+
+function countTextChars(items) {
+  return items.reduce((sum, item) => sum + (item.str || '').replace(/\s/g, '').length, 0);
+}
+
+// Render a PDF page to a PNG buffer for OCR
+async function renderPageToImage(pdf, page) {
+  const viewport = page.getViewport({ scale: PDF_OCR_SCALE });
+  const { canvas, context } = pdf.canvasFactory.create(
+    Math.ceil(viewport.width),
+    Math.ceil(viewport.height)
+  );
+
+  try {
+    // Scans are usually opaque, but paint a white background just in case
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: context, viewport }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    pdf.canvasFactory.destroy({ canvas, context });
+  }
+}
+
+// Extract text from PDF buffer, page by page
+export async function extractTextFromPDF(buffer, options = {}) {
   try {
     console.log('🔄 Starting PDF text extraction...');
     
@@ -17,29 +132,72 @@ export async function extractTextFromPDF(buffer) {
       data: new Uint8Array(buffer),
       useSystemFonts: true,
       disableFontFace: true,
-      verbosity: 0
+      verbosity: 0,
+      ...(options.password && { password: options.password })
     }).promise;
     
     const numPages = pdf.numPages;
     console.log(`📄 PDF has ${numPages} pages`);
+
+    // Document properties are optional; a broken info dictionary shouldn't fail the upload
+    const properties = await readPdfMetadata(pdf).catch(error => {
+      console.warn('⚠️ Could not read PDF metadata:', error.message);
+      return null;
+    });
     
-    let fullText = '';
+    const pageItems = [];
+    const ocrResults = new Map();
+    const ocrSkippedPages = [];
+    const ocrLanguages = new Set();
+    const pageImages = [];
+    const imageOcr = options.ocrImages ? createImageOcrState() : null;
     
     for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+      // Keep a slot for every page so page numbers stay aligned
+      pageItems.push([]);
+      pageImages.push([]);
+
+      reportProgress(options, { stage: 'extracting', progress: (pageNum - 1) / numPages, page: pageNum, pageCount: numPages });
+
       try {
         const page = await pdf.getPage(pageNum);
         const textContent = await page.getTextContent();
-        
-        const pageText = textContent.items
-          .map(item => item.str)
-          .join(' ')
-          .replace(/\s+/g, ' ')
-          .trim();
-        
-        if (pageText) {
-          fullText += pageText + '\n';
+
+        pageItems[pageNum - 1] = textContent.items;
+
+        // No usable text layer - render the page and OCR it instead
+        if (countTextChars(textContent.items) < MIN_TEXT_LAYER_CHARS) {
+          if (ocrResults.size >= PDF_OCR_MAX_PAGES) {
+            ocrSkippedPages.push(pageNum);
+          } else {
+            try {
+              console.log(`🖼️ Page ${pageNum} has no text layer, running OCR...`);
+              const image = await renderPageToImage(pdf, page);
+              const ocrResult = await extractTextFromImage(image, {
+                languages: options.ocrLanguages,
+                preprocess: options.preprocess,
+                onProgress: ({ ocrProgress }) => reportProgress(options, {
+                  stage: 'ocr',
+                  progress: (pageNum - 1 + ocrProgress) / numPages,
+                  page: pageNum,
+                  pageCount: numPages,
+                  ocrProgress
+                })
+              });
+              ocrResults.set(pageNum, ocrResult);
+              ocrResult.languages.split('+').forEach(language => ocrLanguages.add(language));
+            } catch (ocrError) {
+              console.warn(`⚠️ OCR fallback failed for page ${pageNum}:`, ocrError.message);
+            }
+          }
+        } else if (imageOcr) {
+          reportProgress(options, { stage: 'image-ocr', progress: (pageNum - 1) / numPages, page: pageNum, pageCount: numPages });
+          for (const image of await extractPdfPageImages(page)) {
+            const text = await ocrEmbeddedImage(image.buffer, options, imageOcr);
+            if (text) pageImages[pageNum - 1].push({ ...image, text });
+          }
         }
-        
+
         // Clean up page resources
         page.cleanup();
       } catch (pageError) {
@@ -47,50 +205,132 @@ export async function extractTextFromPDF(buffer) {
         continue;
       }
     }
-    
+
     // Clean up PDF resources
     pdf.destroy();
-    
-    const cleanText = fullText.trim();
-    
-    if (!cleanText || cleanText.length < 10) {
+
+    reportProgress(options, { stage: 'layout', progress: 1, pageCount: numPages });
+
+    // Rebuild reading order, columns, headings and paragraphs per page, using
+    // the document-wide body font size to decide what counts as a heading
+    const bodyFontSize = detectBodyFontSize(pageItems.flat());
+    const ocrPages = [];
+    const ocrPageResults = [];
+    const tables = [];
+    const pageTexts = pageItems.map((items, i) => {
+      const layout = analyzePageLayout(items, { bodyFontSize, images: pageImages[i] });
+      const nativeText = layout.text;
+      const ocrResult = ocrResults.get(i + 1);
+
+      // Keep whichever source recovered more of the page
+      if (ocrResult && ocrResult.text.length > nativeText.length) {
+        ocrPages.push(i + 1);
+        // Boxes are in pixels of the page rendered at `scale` x PDF points
+        ocrPageResults.push({
+          page: i + 1,
+          confidence: ocrResult.confidence,
+          scale: PDF_OCR_SCALE,
+          ...(ocrResult.preprocessing && { preprocessing: ocrResult.preprocessing }),
+          lines: ocrResult.lines
+        });
+        return ocrResult.text;
+      }
+      tables.push(...layout.tables.map(table => ({ page: i + 1, rows: table.rows })));
+      return nativeText;
+    });
+
+    const { text, pages } = joinPages(pageTexts);
+    for (const page of pages) {
+      page.ocr = ocrPages.includes(page.number);
+    }
+
+    if (ocrPages.length > 0) {
+      console.log(`🖼️ OCR used for ${ocrPages.length} of ${numPages} pages`);
+    }
+    if (ocrSkippedPages.length > 0) {
+      console.warn(`⚠️ OCR limit reached, ${ocrSkippedPages.length} image-only pages were skipped`);
+    }
+
+    if (!text || text.length < 10) {
       throw new Error('No readable text found in PDF. The document may be image-based or corrupted.');
     }
-    
-    console.log(`✅ PDF extraction complete: ${cleanText.length} characters`);
-    return cleanText;
+
+    console.log(`✅ PDF extraction complete: ${text.length} characters`);
+    return {
+      text,
+      pages,
+      ocrPages,
+      ocrSkippedPages,
+      ocrLanguages: [...ocrLanguages].join('+') || null,
+      tables,
+      document: properties,
+      ...(imageOcr && { imageOcr }),
+      ocr: ocrPageResults.length > 0
+        ? { confidence: averageConfidence(ocrPageResults), pages: ocrPageResults }
+        : null
+    };
     
   } catch (error) {
     console.error('❌ PDF extraction failed:', error);
     
-    if (error.message.includes('Invalid PDF')) {
+    // pdf.js PasswordException codes: 1 = password needed, 2 = wrong password
+    if (error.name === 'PasswordException') {
+      throw error.code === 2
+        ? createProcessingError('Incorrect password for this PDF.', 'PDF_PASSWORD_INCORRECT')
+        : createProcessingError('This PDF is password-protected. Please provide the password.', 'PDF_PASSWORD_REQUIRED');
+    } else if (error.code) {
+      // Already coded, e.g. a bad OCR language or preprocessing step
+      throw error;
+    } else if (error.message.includes('Invalid PDF')) {
       throw new Error('Invalid or corrupted PDF file. Please try a different file.');
-    } else if (error.message.includes('password')) {
-      throw new Error('Password-protected PDFs are not supported. Please remove the password and try again.');
     } else {
       throw new Error(`PDF processing failed: ${error.message}`);
     }
   }
 }
 
-// Extract text from DOCX buffer
-export async function extractTextFromDOCX(buffer) {
+// Word's built-in Title/Subtitle styles aren't mapped to headings by default
+const DOCX_STYLE_MAP = [
+  "p[style-name='Title'] => h1:fresh",
+  "p[style-name='Subtitle'] => h2:fresh"
+];
+
+// Extract text from DOCX buffer as Markdown: headings, numbered and bulleted
+// lists and tables are kept from mammoth's document model
+// Options: { ocrImages } to OCR embedded images into the text
+export async function extractTextFromDOCX(buffer, options = {}) {
   try {
     console.log('🔄 Starting DOCX text extraction...');
     
-    const result = await mammoth.extractRawText({
-      buffer: buffer,
-      options: {
-        ignoreEmptyParagraphs: true,
-        convertImage: mammoth.images.ignore
-      }
+    const imageOcr = options.ocrImages ? createImageOcrState() : null;
+    const imageTexts = new Map();
+    let imageCount = 0;
+
+    // mammoth unpacks the whole package itself, so it gets one that's
+    // already been unpacked within the size budget
+    const packed = await repackZip(await openZip(buffer));
+
+    const result = await mammoth.convertToHtml({ buffer: packed }, {
+      styleMap: DOCX_STYLE_MAP,
+      ignoreEmptyParagraphs: true,
+      // Images are never inlined as data URIs; with ocrImages their text is
+      // spliced in where the image was
+      convertImage: mammoth.images.imgElement(async image => {
+        if (!imageOcr) return { src: '' };
+        const src = `ocr-image-${++imageCount}`;
+        imageTexts.set(src, await ocrEmbeddedImage(await image.read(), options, imageOcr));
+        return { src };
+      })
     });
     
-    const extractedText = result.value
-      .replace(/\r\n/g, '\n')
-      .replace(/\r/g, '\n')
-      .replace(/\s+/g, ' ')
-      .trim();
+    const html = result.value.replace(/<img [^>]*?src="(ocr-image-\d+)"[^>]*>/g, (tag, src) => {
+      const text = imageTexts.get(src);
+      if (!text) return '';
+      const lines = text.split('\n').map(line => line.replace(/&/g, '&amp;').replace(/</g, '&lt;'));
+      return `<br /><br />${lines.join('<br />')}<br /><br />`;
+    });
+    const markdown = htmlToMarkdown(html);
+    const extractedText = normalizeText(markdown.text);
     
     if (!extractedText || extractedText.length < 10) {
       throw new Error('No readable text found in DOCX file. The document may be empty.');
@@ -101,48 +341,296 @@ export async function extractTextFromDOCX(buffer) {
       console.log('ℹ️ DOCX conversion messages:', result.messages.slice(0, 3));
     }
     
+    // mammoth ignores docProps, so read the core properties from the package
+    const document = await readOoxmlMetadata(await openZip(packed));
+
     console.log(`✅ DOCX extraction complete: ${extractedText.length} characters`);
-    return extractedText;
+    return { text: extractedText, tables: markdown.tables, document, ...(imageOcr && { imageOcr }) };
     
   } catch (error) {
     console.error('❌ DOCX extraction failed:', error);
+    if (error.code) throw error;
     throw new Error(`DOCX processing failed: ${error.message}`);
   }
 }
 
-// Extract text from image buffer using OCR
-export async function extractTextFromImage(buffer) {
-  let worker;
-  
+// PowerPoint (PPTX) support: slides are read in presentation order from the
+// zip's XML parts; titles come from title placeholders, everything else on the
+// slide (text boxes, placeholders, grouped shapes, tables) is body text
+export const PPTX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+// Placeholders that repeat on every slide and carry no content
+const PPTX_IGNORED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'hdr', 'sldImg'];
+
+// Text of a DrawingML paragraph (<a:p>): runs, fields and line breaks
+function paragraphText(paragraph) {
+  let text = '';
+
+  for (const child of childElements(paragraph)) {
+    if (child.localName === 'r' || child.localName === 'fld') {
+      text += childElements(child, 't').map(t => t.textContent).join('');
+    } else if (child.localName === 'br') {
+      text += ' ';
+    }
+  }
+
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function paragraphLevel(paragraph) {
+  const properties = childElements(paragraph, 'pPr')[0];
+  return Number(properties?.getAttribute('lvl')) || 0;
+}
+
+function placeholderType(shape) {
+  const placeholder = descendants(shape, 'ph')[0];
+  if (!placeholder) return null;
+  return placeholder.getAttribute('type') || 'body';
+}
+
+// Shapes and graphic frames of a shape tree in z-order, descending into groups
+function collectShapes(container, shapes = []) {
+  for (const child of childElements(container)) {
+    if (child.localName === 'sp' || child.localName === 'graphicFrame') {
+      shapes.push(child);
+    } else if (child.localName === 'grpSp') {
+      collectShapes(child, shapes);
+    }
+  }
+  return shapes;
+}
+
+// Title, body paragraphs (with indent level) and table rows of a slide part
+function readSlideShapes(document) {
+  const tree = descendants(document, 'spTree')[0];
+  const title = [];
+  const body = [];
+
+  for (const shape of tree ? collectShapes(tree) : []) {
+    const type = placeholderType(shape);
+    if (PPTX_IGNORED_PLACEHOLDERS.includes(type)) continue;
+
+    if (shape.localName === 'graphicFrame') {
+      for (const row of descendants(shape, 'tr')) {
+        const cells = childElements(row, 'tc')
+          .map(cell => descendants(cell, 'p').map(paragraphText).filter(Boolean).join(' '));
+        if (cells.some(Boolean)) body.push({ text: cells.join(' | '), level: 0 });
+      }
+      continue;
+    }
+
+    const paragraphs = descendants(shape, 'p')
+      .map(paragraph => ({ text: paragraphText(paragraph), level: paragraphLevel(paragraph) }))
+      .filter(paragraph => paragraph.text);
+
+    if (type === 'title' || type === 'ctrTitle') {
+      title.push(...paragraphs.map(paragraph => paragraph.text));
+    } else {
+      body.push(...paragraphs);
+    }
+  }
+
+  return { title: title.join(' '), body };
+}
+
+// Render a slide as a Markdown-style heading, bullets and its speaker notes
+function renderSlide(slide, body) {
+  const parts = [`# ${slide.title || `Slide ${slide.number}`}`];
+
+  if (body.length) {
+    parts.push(body.map(paragraph => `${'  '.repeat(paragraph.level)}- ${paragraph.text}`).join('\n'));
+  }
+  if (slide.notes) {
+    parts.push(`Speaker notes: ${slide.notes}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+// Extract text from PPTX buffer, one page per slide
+export async function extractTextFromPPTX(buffer) {
   try {
-    console.log('🔄 Starting OCR text extraction...');
-    
-    // Create Tesseract worker with optional custom language data path
-    const workerOptions = {
-      logger: m => {
-        if (m.status === 'recognizing text') {
-          console.log(`🔄 OCR Progress: ${Math.round(m.progress * 100)}%`);
-        }
+    console.log('🔄 Starting PPTX text extraction...');
+
+    const zip = await openZip(buffer);
+    const presentation = await readZipXml(zip, 'ppt/presentation.xml');
+    if (!presentation) {
+      throw new Error('Invalid PPTX file: missing ppt/presentation.xml');
+    }
+
+    const presentationRels = await readRelationships(zip, 'ppt/presentation.xml');
+    const slideIds = descendants(presentation, 'sldId');
+    console.log(`📊 PPTX has ${slideIds.length} slides`);
+
+    const slides = [];
+    const pageTexts = [];
+
+    for (const [index, slideId] of slideIds.entries()) {
+      const relId = slideId.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id')
+        || slideId.getAttribute('r:id');
+      const slidePath = presentationRels.get(relId)?.path;
+      const document = slidePath && await readZipXml(zip, slidePath);
+      const slide = { number: index + 1, title: '', body: [], notes: '' };
+
+      if (!document) {
+        console.warn(`⚠️ Slide ${slide.number} is missing from the archive`);
+        slides.push(slide);
+        pageTexts.push('');
+        continue;
+      }
+
+      const { title, body } = readSlideShapes(document);
+      slide.title = title;
+      slide.body = body.map(paragraph => paragraph.text);
+      if (document.documentElement.getAttribute('show') === '0') {
+        slide.hidden = true;
+      }
+
+      // Speaker notes live in a separate notes slide linked from the slide
+      const slideRels = await readRelationships(zip, slidePath);
+      const notesRel = [...slideRels.values()].find(rel => rel.type.endsWith('/notesSlide'));
+      const notesDocument = notesRel && await readZipXml(zip, notesRel.path);
+      if (notesDocument) {
+        slide.notes = readSlideShapes(notesDocument).body.map(paragraph => paragraph.text).join(' ');
       }
+
+      slides.push(slide);
+      pageTexts.push(renderSlide(slide, body));
+    }
+
+    const { text, pages } = joinPages(pageTexts);
+
+    if (!text || text.length < 10) {
+      throw new Error('No readable text found in PPTX file. The presentation may be empty.');
+    }
+
+    console.log(`✅ PPTX extraction complete: ${text.length} characters`);
+    return { text, pages, slides, document: await readOoxmlMetadata(zip) };
+
+  } catch (error) {
+    console.error('❌ PPTX extraction failed:', error);
+    if (error.code) throw error;
+    throw new Error(`PPTX processing failed: ${error.message}`);
+  }
+}
+
+function roundConfidence(confidence) {
+  return Math.round(confidence * 10) / 10;
+}
+
+function toBoundingBox({ x0, y0, x1, y1 }) {
+  return { x0, y0, x1, y1 };
+}
+
+// Flatten Tesseract's block/paragraph/line tree into lines of words with
+// confidences (0-100) and pixel bounding boxes in the OCR'd image
+function collectOcrLines(blocks) {
+  return (blocks || [])
+    .flatMap(block => block.paragraphs.flatMap(paragraph => paragraph.lines))
+    .map(line => ({
+      text: line.text.trim(),
+      confidence: roundConfidence(line.confidence),
+      bbox: toBoundingBox(line.bbox),
+      words: line.words
+        .filter(word => word.text.trim())
+        .map(word => ({
+          text: word.text.trim(),
+          confidence: roundConfidence(word.confidence),
+          bbox: toBoundingBox(word.bbox)
+        }))
+    }))
+    .filter(line => line.text);
+}
+
+// Overall confidence of OCR'd pages, weighted by the amount of text per page
+function averageConfidence(ocrPages) {
+  const weighted = ocrPages.map(page => ({
+    confidence: page.confidence,
+    chars: page.lines.reduce((sum, line) => sum + line.text.length, 0)
+  }));
+  const chars = weighted.reduce((sum, page) => sum + page.chars, 0);
+
+  return chars > 0
+    ? roundConfidence(weighted.reduce((sum, page) => sum + page.confidence * page.chars, 0) / chars)
+    : null;
+}
+
+// OSD results below this confidence fall back to the default languages
+const MIN_SCRIPT_CONFIDENCE = 2;
+
+// Detect the dominant script of an image with Tesseract's OSD (legacy engine)
+export async function detectScript(buffer) {
+  try {
+    const { data } = await withOcrWorker('osd', worker => worker.detect(buffer), { legacy: true });
+
+    if (!data?.script || !(data.script_confidence >= MIN_SCRIPT_CONFIDENCE)) {
+      console.warn('⚠️ Script detection was inconclusive, using default OCR languages');
+      return null;
+    }
+
+    console.log(`🔤 Detected script: ${data.script} (confidence ${data.script_confidence.toFixed(1)})`);
+    return {
+      script: data.script,
+      confidence: data.script_confidence,
+      orientation: data.orientation_degrees
     };
-    
-    // Use custom tessdata URL if provided
-    if (process.env.TESSDATA_URL) {
-      workerOptions.langPath = process.env.TESSDATA_URL;
+  } catch (error) {
+    console.warn('⚠️ Script detection failed, using default OCR languages:', error.message);
+    return null;
+  }
+}
+
+// Extract text from image buffer using OCR
+// Options: { languages } - Tesseract languages ("eng+deu") or "auto",
+//          { preprocess } - preprocessing steps to run first (see imagePreprocessor.js),
+//          { onProgress } - recognition progress (see reportProgress)
+export async function extractTextFromImage(buffer, options = {}) {
+  try {
+    console.log('🔄 Starting OCR text extraction...');
+
+    // Bounding boxes refer to the preprocessed image (see `scale`/`skewAngle`)
+    let preprocessing = null;
+    if (options.preprocess?.length) {
+      const { buffer: processed, ...applied } = await preprocessImage(buffer, options.preprocess);
+      buffer = processed;
+      preprocessing = applied;
     }
     
-    worker = await createWorker('eng', 1, workerOptions);
+    let languages = parseOcrLanguages(options.languages);
+    let detectedScript = null;
+
+    // Pick languages from the detected script
+    if (languages === AUTO_OCR_LANGUAGES) {
+      detectedScript = await detectScript(buffer);
+      languages = detectedScript ? languagesForScript(detectedScript.script) : DEFAULT_OCR_LANGUAGES;
+    }
+
+    console.log(`🌐 OCR languages: ${languages}`);
     
     // Configure OCR parameters for better accuracy
-    await worker.setParameters({
-      tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 .,;:!?()-[]{}"\'/\\@#$%^&*+=<>|~`',
+    const parameters = {
       tessedit_pageseg_mode: '1', // Automatic page segmentation
       preserve_interword_spaces: '1'
+    };
+
+    // The whitelist would strip accents and non-Latin scripts
+    if (usesLatinWhitelist(languages)) {
+      parameters.tessedit_char_whitelist = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789 .,;:!?()-[]{}"\'/\\@#$%^&*+=<>|~`';
+    }
+
+    // Perform OCR recognition on a pooled worker for these languages
+    const { data: { text, confidence, blocks } } = await withOcrWorker(languages, async worker => {
+      await worker.setParameters(parameters);
+      return worker.recognize(buffer);
+    }, {
+      onProgress: m => {
+        if (m.status === 'recognizing text') {
+          console.log(`🔄 OCR Progress: ${Math.round(m.progress * 100)}%`);
+          reportProgress(options, { stage: 'ocr', progress: m.progress, ocrProgress: m.progress });
+        }
+      }
     });
     
-    // Perform OCR recognition
-    const { data: { text, confidence } } = await worker.recognize(buffer);
-    
     // Clean up extracted text
     const cleanText = text
       .replace(/\n\s*\n/g, '\n')
@@ -159,110 +647,503 @@ export async function extractTextFromImage(buffer) {
       console.warn('⚠️ Low OCR confidence detected. Text accuracy may be reduced.');
     }
     
-    return cleanText;
+    return {
+      text: cleanText,
+      confidence: roundConfidence(confidence),
+      lines: collectOcrLines(blocks),
+      languages,
+      detectedScript,
+      preprocessing
+    };
     
   } catch (error) {
     console.error('❌ OCR extraction failed:', error);
     
-    if (error.message.includes('worker')) {
+    if (error.code === 'INVALID_OCR_LANGUAGES') {
+      throw error;
+    } else if (error.message.includes('worker')) {
       throw new Error('OCR service initialization failed. Please try again.');
     } else {
       throw new Error(`Image text extraction failed: ${error.message}`);
     }
-  } finally {
-    // Always clean up the worker
-    if (worker) {
-      try {
-        await worker.terminate();
-        console.log('🧹 OCR worker cleaned up');
-      } catch (cleanupError) {
-        console.error('⚠️ OCR worker cleanup error:', cleanupError);
-      }
+  }
+}
+
+function createImageOcrState() {
+  return { found: 0, recognized: 0, skipped: 0 };
+}
+
+// OCR an image embedded in a document and return its marked text block, or
+// null for images without readable text. `state` numbers the images and
+// enforces OCR_MAX_IMAGES across the whole document
+async function ocrEmbeddedImage(buffer, options, state) {
+  const number = ++state.found;
+
+  if (number > OCR_MAX_IMAGES) {
+    state.skipped++;
+    return null;
+  }
+  if (!(await isOcrCandidate(buffer))) {
+    return null;
+  }
+
+  try {
+    console.log(`🖼️ OCR for embedded image ${number}...`);
+    const result = await extractTextFromImage(buffer, {
+      languages: options.ocrLanguages,
+      preprocess: options.preprocess
+    });
+
+    if (result.confidence < MIN_IMAGE_OCR_CONFIDENCE) {
+      return null;
     }
+
+    state.recognized++;
+    // Keep the image's line breaks - code and labels read line by line
+    const text = result.lines.map(line => line.text).join('\n') || result.text;
+    return imageTextBlock(number, text);
+  } catch (error) {
+    if (error.code) throw error;
+    console.warn(`⚠️ OCR failed for embedded image ${number}:`, error.message);
+    return null;
   }
 }
 
+// Extract text from every page of a multi-page TIFF (e.g. faxes) or frame of
+// an animated GIF, in order, one result page per frame
+export async function extractTextFromImageFrames(buffer, frameCount, options = {}) {
+  console.log(`🔄 Starting OCR of ${frameCount} image frames...`);
+
+  const pageTexts = [];
+  const ocrPages = [];
+  const ocrSkippedPages = [];
+  const ocrLanguages = new Set();
+
+  for (let index = 0; index < frameCount; index++) {
+    const pageNum = index + 1;
+
+    if (index >= PDF_OCR_MAX_PAGES) {
+      ocrSkippedPages.push(pageNum);
+      pageTexts.push('');
+      continue;
+    }
+
+    try {
+      const frame = await extractImageFrame(buffer, index);
+      const ocrResult = await extractTextFromImage(frame, {
+        languages: options.ocrLanguages,
+        preprocess: options.preprocess,
+        onProgress: ({ ocrProgress }) => reportProgress(options, {
+          stage: 'ocr',
+          progress: (index + ocrProgress) / frameCount,
+          page: pageNum,
+          pageCount: frameCount,
+          ocrProgress
+        })
+      });
+
+      pageTexts.push(ocrResult.text);
+      ocrPages.push({
+        page: pageNum,
+        confidence: ocrResult.confidence,
+        ...(ocrResult.preprocessing && { preprocessing: ocrResult.preprocessing }),
+        lines: ocrResult.lines
+      });
+      ocrResult.languages.split('+').forEach(language => ocrLanguages.add(language));
+    } catch (frameError) {
+      if (frameError.code) throw frameError;
+
+      // Blank separator pages are common in faxes - keep the page, empty
+      console.warn(`⚠️ No text recognized in frame ${pageNum}:`, frameError.message);
+      pageTexts.push('');
+    }
+  }
+
+  const { text, pages } = joinPages(pageTexts);
+  for (const page of pages) {
+    page.ocr = ocrPages.some(ocrPage => ocrPage.page === page.number);
+  }
+
+  if (ocrSkippedPages.length > 0) {
+    console.warn(`⚠️ OCR limit reached, ${ocrSkippedPages.length} frames were skipped`);
+  }
+
+  if (!text || text.length < 10) {
+    throw new Error('No readable text found in image. Please ensure the image contains clear, high-contrast text.');
+  }
+
+  console.log(`✅ Image frames OCR complete: ${text.length} characters from ${ocrPages.length} of ${frameCount} frames`);
+  return {
+    text,
+    pages,
+    ocrPages: ocrPages.map(page => page.page),
+    ocrSkippedPages,
+    ocrLanguages: [...ocrLanguages].join('+') || null,
+    ocr: ocrPages.length > 0
+      ? { confidence: averageConfidence(ocrPages), pages: ocrPages }
+      : null
+  };
+}
+
+// Metadata for OCR done on some pages of a document (scanned PDF pages,
+// frames of a multi-page image)
+function describePageOcr(result, options) {
+  const metadata = {};
+
+  if (result.ocrPages.length > 0) {
+    metadata.ocrPages = result.ocrPages;
+  }
+  if (result.ocrSkippedPages.length > 0) {
+    metadata.ocrSkippedPages = result.ocrSkippedPages;
+  }
+  if (result.ocrPages.length > 0 && result.ocrLanguages) {
+    metadata.ocrLanguages = result.ocrLanguages;
+  }
+  if (result.ocr && options.preprocess?.length) {
+    metadata.preprocessing = {
+      requested: options.preprocess,
+      applied: PREPROCESS_STEPS.filter(step =>
+        result.ocr.pages.some(page => page.preprocessing?.applied.includes(step))
+      )
+    };
+  }
+
+  return metadata;
+}
+
+// Content-based file type detection: the browser's mimetype is only a claim
+// (and often application/octet-stream), so the real type is read from the
+// file's leading bytes and, for zip and OLE containers, their contents
+
+export const OCTET_STREAM = 'application/octet-stream';
+export const DOCX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+export const ZIP_MIMETYPE = 'application/zip';
+const OLE_MIMETYPE = 'application/x-ole-storage';
+const ZIP_BASED_MIMETYPES = [DOCX_MIMETYPE, PPTX_MIMETYPE, ODT_MIMETYPE, EPUB_MIMETYPE];
+
+function startsWith(buffer, bytes, offset = 0) {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return buffer.length >= offset + expected.length && buffer.subarray(offset, offset + expected.length).equals(expected);
+}
+
+const FILE_SIGNATURES = [
+  // pdf.js accepts junk before the header, as long as it's within the first 1KB
+  { mimetype: 'application/pdf', test: buffer => buffer.subarray(0, 1024).includes('%PDF-') },
+  { mimetype: 'image/jpeg', test: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  { mimetype: 'image/png', test: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mimetype: 'image/gif', test: buffer => startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a') },
+  { mimetype: 'image/tiff', test: buffer => startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a]) },
+  { mimetype: 'image/webp', test: buffer => startsWith(buffer, 'RIFF') && startsWith(buffer, 'WEBP', 8) },
+  // "BM" alone could start a text file; also check the DIB header size
+  { mimetype: 'image/bmp', test: buffer => startsWith(buffer, 'BM') && buffer.length > 18 && [12, 40, 52, 56, 64, 108, 124].includes(buffer.readUInt32LE(14)) },
+  { mimetype: 'application/rtf', test: buffer => startsWith(buffer, '{\\rtf') },
+  { mimetype: ZIP_MIMETYPE, test: buffer => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) },
+  { mimetype: OLE_MIMETYPE, test: buffer => startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]) },
+  { mimetype: 'application/x-msdownload', test: buffer => startsWith(buffer, 'MZ') && !looksLikeText(buffer) },
+  { mimetype: 'application/x-executable', test: buffer => startsWith(buffer, [0x7f, 0x45, 0x4c, 0x46]) },
+  {
+    mimetype: 'application/x-mach-binary',
+    test: buffer => [[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe]]
+      .some(bytes => startsWith(buffer, bytes))
+  }
+];
+
+const TEXT_EXTENSIONS = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.xhtml': 'application/xhtml+xml'
+};
+
+// Office Open XML, OpenDocument and EPUB files are all zip archives
+async function detectZipType(buffer) {
+  try {
+    // Runs on every zip upload, before any size checks - read only small parts
+    const zip = await JSZip.loadAsync(buffer);
+    const declared = (await readZipText(zip, 'mimetype', { maxSize: 1024 }))?.trim();
+    if (declared === ODT_MIMETYPE || declared === EPUB_MIMETYPE) {
+      return declared;
+    }
+
+    // Content types name the main part; templates and macro-enabled variants
+    // use other types but keep the usual part names
+    const contentTypes = await readZipText(zip, '[Content_Types].xml', { maxSize: 1024 * 1024 }) || '';
+    if (contentTypes.includes('wordprocessingml.document.main+xml') || zip.file('word/document.xml')) {
+      return DOCX_MIMETYPE;
+    }
+    if (contentTypes.includes('presentationml.presentation.main+xml') || zip.file('ppt/presentation.xml')) {
+      return PPTX_MIMETYPE;
+    }
+  } catch {
+    // Unreadable archive - the extractor reports it as corrupted
+  }
+
+  return ZIP_MIMETYPE;
+}
+
+// Text files have no signature: tell HTML from plain text by its opening tag,
+// and Markdown by its extension
+function detectTextType(buffer, filename) {
+  const byExtension = TEXT_EXTENSIONS[extname(filename || '').toLowerCase()];
+  if (byExtension) {
+    return byExtension;
+  }
+
+  const head = decodeText(buffer.subarray(0, 1024)).text.trimStart().toLowerCase();
+  return /^(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*(?:<!doctype html|<html)/.test(head) ? 'text/html' : 'text/plain';
+}
+
+// Detect a file's type from its contents. Returns a mimetype, or null when
+// the content is neither a known format nor text
+export async function detectFileType(buffer, filename = '') {
+  const signature = FILE_SIGNATURES.find(({ test }) => test(buffer));
+
+  if (signature?.mimetype === ZIP_MIMETYPE) {
+    return detectZipType(buffer);
+  }
+  if (signature?.mimetype === OLE_MIMETYPE) {
+    // Word 97-2003 files keep their text in a "WordDocument" stream
+    return buffer.includes(Buffer.from('WordDocument', 'utf16le')) ? DOC_MIMETYPE : OLE_MIMETYPE;
+  }
+  if (signature) {
+    return signature.mimetype;
+  }
+
+  return looksLikeText(buffer) ? detectTextType(buffer, filename) : null;
+}
+
+// Whether the detected type agrees with the declared one closely enough to
+// trust the declaration (which can be more specific, e.g. Markdown vs text)
+function isCompatibleType(declared, detected) {
+  if (declared === detected) return true;
+  if (declared === 'image/jpg' && detected === 'image/jpeg') return true;
+
+  const declaredFormat = TEXT_FORMATS[declared];
+  const detectedFormat = TEXT_FORMATS[detected];
+  if (declaredFormat && detectedFormat) {
+    // Plain text, Markdown and HTML can't be told apart reliably; RTF can
+    return (declaredFormat === 'RTF') === (detectedFormat === 'RTF');
+  }
+
+  // A damaged archive still goes to its extractor, which explains the problem
+  return ZIP_BASED_MIMETYPES.includes(declared) && detected === ZIP_MIMETYPE;
+}
+
+// Resolve the mimetype to process a file as, from its contents and the
+// client's mimetype. Throws FILE_TYPE_MISMATCH when the content is something
+// other than declared, UNSUPPORTED_FILE_TYPE when it can't be identified
+export async function resolveFileType(file) {
+  const declared = (file.mimetype || OCTET_STREAM).toLowerCase();
+  const detected = await detectFileType(file.buffer, file.originalname);
+
+  if (declared === OCTET_STREAM) {
+    if (!detected) {
+      throw createProcessingError('Could not determine the file type from its contents.', 'UNSUPPORTED_FILE_TYPE');
+    }
+    return detected;
+  }
+
+  if (detected && isCompatibleType(declared, detected)) {
+    return declared;
+  }
+
+  // Image formats are decoded by content anyway; a PNG named .jpg is fine
+  if (declared.startsWith('image/') && detected?.startsWith('image/')) {
+    return detected;
+  }
+
+  throw createProcessingError(
+    `File content does not match its declared type (declared ${declared}, detected ${detected || 'unknown binary data'}).`,
+    'FILE_TYPE_MISMATCH'
+  );
+}
+
 // Main file processing function
-export async function processFile(file) {
-  const { buffer, mimetype, originalname, size } = file;
+// Options: { password } for encrypted PDFs, { ocrLanguages, preprocess } for images and scans,
+//          { ocrImages } to OCR images embedded in PDF and DOCX files,
+//          { onProgress } for stage changes, pages and OCR progress (see reportProgress)
+export async function processFile(file, options = {}) {
+  const { buffer, originalname, size } = file;
   
-  console.log(`📁 Processing file: ${originalname} (${mimetype}, ${(size / 1024 / 1024).toFixed(2)}MB)`);
+  console.log(`📁 Processing file: ${originalname} (${file.mimetype}, ${(size / 1024 / 1024).toFixed(2)}MB)`);
   
   try {
+    // Route by what the file actually is, not by what the client said
+    reportProgress(options, { stage: 'detecting', progress: 0 });
+    const mimetype = await resolveFileType(file);
+    if (mimetype !== file.mimetype) {
+      console.log(`🔍 Detected ${mimetype} (declared ${file.mimetype})`);
+    }
+
     let extractedText = '';
+    let pages = null;
     let fileType = '';
+    let ocr = null;
+    let slides = null;
+    let tables = null;
+    let document = null;
+    const extraMetadata = {};
     
+    reportProgress(options, { stage: 'extracting', progress: 0 });
+
     if (mimetype === 'application/pdf') {
-      extractedText = await extractTextFromPDF(buffer);
+      const pdfResult = await extractTextFromPDF(buffer, {
+        password: options.password,
+        ocrLanguages: options.ocrLanguages,
+        preprocess: options.preprocess,
+        ocrImages: options.ocrImages,
+        onProgress: options.onProgress
+      });
+      ({ text: extractedText, pages, ocr, tables, document } = pdfResult);
+      if (pdfResult.imageOcr) extraMetadata.imageOcr = pdfResult.imageOcr;
+      Object.assign(extraMetadata, describePageOcr(pdfResult, options));
       fileType = 'PDF';
-    } else if (mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-      extractedText = await extractTextFromDOCX(buffer);
+    } else if (mimetype === DOCX_MIMETYPE) {
+      const docxResult = await extractTextFromDOCX(buffer, options);
+      ({ text: extractedText, tables, document } = docxResult);
+      if (docxResult.imageOcr) extraMetadata.imageOcr = docxResult.imageOcr;
       fileType = 'DOCX';
+    } else if (mimetype === PPTX_MIMETYPE) {
+      const pptxResult = await extractTextFromPPTX(buffer);
+      ({ text: extractedText, pages, slides, document } = pptxResult);
+      fileType = 'PPTX';
+    } else if (mimetype === DOC_MIMETYPE) {
+      ({ text: extractedText } = await extractTextFromDOC(buffer));
+      fileType = 'DOC';
+    } else if (mimetype === ODT_MIMETYPE) {
+      ({ text: extractedText, document } = await extractTextFromODT(buffer));
+      fileType = 'ODT';
+    } else if (mimetype === EPUB_MIMETYPE) {
+      const epubResult = await extractTextFromEPUB(buffer);
+      ({ text: extractedText, document } = epubResult);
+      extraMetadata.chapterCount = epubResult.chapterCount;
+      fileType = 'EPUB';
+    } else if (TEXT_MIMETYPES.includes(mimetype)) {
+      const textResult = extractTextFromTextFile(buffer, mimetype);
+      extractedText = textResult.text;
+      extraMetadata.charset = textResult.charset;
+      fileType = textResult.format;
     } else if (mimetype.startsWith('image/')) {
-      extractedText = await extractTextFromImage(buffer);
+      // Multi-page TIFFs and animated GIFs become one page per frame
+      const frameCount = await countImageFrames(buffer);
+
+      if (frameCount > 1) {
+        const framesResult = await extractTextFromImageFrames(buffer, frameCount, options);
+        ({ text: extractedText, pages, ocr } = framesResult);
+        Object.assign(extraMetadata, describePageOcr(framesResult, options));
+      } else {
+        const ocrResult = await extractTextFromImage(buffer, {
+          languages: options.ocrLanguages,
+          preprocess: options.preprocess,
+          onProgress: options.onProgress
+        });
+        extractedText = ocrResult.text;
+        ocr = {
+          confidence: ocrResult.confidence,
+          pages: [{
+            page: 1,
+            confidence: ocrResult.confidence,
+            ...(ocrResult.preprocessing && { preprocessing: ocrResult.preprocessing }),
+            lines: ocrResult.lines
+          }]
+        };
+        if (ocrResult.preprocessing) {
+          extraMetadata.preprocessing = { requested: options.preprocess, ...ocrResult.preprocessing };
+        }
+        extraMetadata.ocrLanguages = ocrResult.languages;
+        if (ocrResult.detectedScript) {
+          extraMetadata.detectedScript = ocrResult.detectedScript.script;
+        }
+      }
       fileType = 'Image (OCR)';
     } else {
-      throw new Error(`Unsupported file type: ${mimetype}`);
+      throw createProcessingError(`Unsupported file type: ${mimetype}`, 'UNSUPPORTED_FILE_TYPE');
     }
     
     // Final validation and cleanup
-    const finalText = extractedText
-      .replace(/\r\n/g, '\n')
-      .replace(/\r/g, '\n')
-      .replace(/\n{3,}/g, '\n\n')
-      .replace(/\s+$/gm, '')
-      .trim();
+    const finalText = normalizeText(extractedText);
     
     if (finalText.length < 10) {
       throw new Error('Extracted text is too short to be meaningful.');
     }
     
+    reportProgress(options, { stage: 'analyzing', progress: 1 });
+
+    // Chapter and section boundaries from the headings each extractor emits
+    const sections = extractSections(finalText);
+
+    // The language the text is written in, as opposed to the one the
+    // document's properties claim (often just the author's default)
+    const language = detectLanguage(finalText);
+    
     console.log(`✅ ${fileType} processing complete: ${finalText.length} characters`);
     
     return {
       text: finalText,
+      ...(pages && { pages }),
+      ...(slides && { slides }),
+      ...(sections.length && { sections }),
+      ...(tables?.length && { tables }),
+      ...(ocr && { ocr }),
       metadata: {
         filename: originalname,
         fileType,
         mimetype,
+        ...(mimetype !== file.mimetype && { declaredMimetype: file.mimetype }),
         size,
         extractedLength: finalText.length,
-        wordCount: finalText.split(/\s+/).filter(word => word.length > 0).length
+        wordCount: finalText.split(/\s+/).filter(word => word.length > 0).length,
+        ...(pages && { pageCount: pages.length }),
+        ...(tables?.length && { tableCount: tables.length }),
+        ...(ocr && { ocrConfidence: ocr.confidence }),
+        ...(document && { document }),
+        language,
+        ...extraMetadata
       }
     };
     
   } catch (error) {
     console.error(`❌ File processing failed for ${originalname}:`, error);
-    throw new Error(`Failed to process "${originalname}": ${error.message}`);
+    throw createProcessingError(`Failed to process "${originalname}": ${error.message}`, error.code);
   }
 }
 
 // Validate file before processing
-export function validateFile(file) {
+// Options: { maxSize } in bytes - resumable uploads allow more than the 10MB default
+export function validateFile(file, options = {}) {
   const errors = [];
   const { mimetype, size, originalname } = file;
   
-  // Check file size (10MB limit)
-  const maxSize = 10 * 1024 * 1024;
+  // Check file size (10MB limit unless given)
+  const maxSize = options.maxSize || 10 * 1024 * 1024;
   if (size > maxSize) {
-    errors.push(`File size (${(size / 1024 / 1024).toFixed(2)}MB) exceeds 10MB limit`);
+    errors.push(`File size (${(size / 1024 / 1024).toFixed(2)}MB) exceeds ${Math.round(maxSize / 1024 / 1024)}MB limit`);
   }
   
   // Check supported file types
   const supportedTypes = [
     'application/pdf',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    DOCX_MIMETYPE,
+    PPTX_MIMETYPE,
+    DOC_MIMETYPE,
+    ODT_MIMETYPE,
+    EPUB_MIMETYPE,
+    ...TEXT_MIMETYPES,
     'image/jpeg',
     'image/jpg', 
     'image/png',
     'image/gif',
     'image/bmp',
     'image/tiff',
-    'image/webp'
+    'image/webp',
+    // Identified from the content by processFile
+    OCTET_STREAM
   ];
   
   if (!supportedTypes.includes(mimetype)) {
-    errors.push(`Unsupported file type: ${mimetype}. Supported: PDF, DOCX, and images (JPEG, PNG, GIF, BMP, TIFF, WebP)`);
+    errors.push(`Unsupported file type: ${mimetype}. Supported: PDF, DOCX, DOC, ODT, EPUB, PPTX, text (TXT, Markdown, HTML, RTF), and images (JPEG, PNG, GIF, BMP, TIFF, WebP)`);
   }
   
   // Basic filename validation
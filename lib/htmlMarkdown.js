@@ -0,0 +1,180 @@
+// Markdown from well-formed HTML (mammoth's DOCX conversion)
+//
+// Unlike htmlToText, which strips arbitrary web pages with regexes, this walks
+// the element tree so list numbering and nesting survive. Output follows the
+// other extractors: `#` headings, `-` / `1.` list items indented two spaces
+// per level, table rows with cells separated by ` | `, inline formatting dropped.
+// Tables are also returned as row arrays laid out on a grid, so merged cells
+// keep the remaining cells in their columns.
+
+import { childElements, parseXml } from './zipXml.js';
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// mammoth links each note back to its reference with "↑"
+const NOTE_BACKLINK = /^#(?:footnote|endnote|comment)-ref-/;
+const NOTE_ITEM = /^(?:footnote|endnote)-/;
+
+function tagName(element) {
+  return element.localName.toLowerCase();
+}
+
+function inlineText(nodes) {
+  let text = '';
+
+  for (const child of Array.from(nodes)) {
+    if (child.nodeType === 3) {
+      text += child.nodeValue.replace(/\s+/g, ' ');
+    } else if (child.nodeType === 1) {
+      const name = tagName(child);
+      if (name === 'br') {
+        text += '\n';
+      } else if (name === 'a' && NOTE_BACKLINK.test(child.getAttribute('href') || '')) {
+        continue;
+      } else if (name === 'ul' || name === 'ol' || name === 'table') {
+        // Nested blocks inside table cells are flattened
+        text += ` ${renderBlocks(child).join(' ')} `;
+      } else if (name !== 'img') {
+        text += inlineText(child.childNodes);
+      }
+    }
+  }
+
+  return text.replace(/ *\n */g, '\n').replace(/ {2,}/g, ' ').trim();
+}
+
+function listLines(list, depth) {
+  const ordered = tagName(list) === 'ol';
+  const indent = '  '.repeat(depth);
+  const lines = [];
+  let number = 1;
+
+  for (const item of childElements(list).filter(child => tagName(child) === 'li')) {
+    const marker = ordered ? `${number++}.` : '-';
+    const nested = [];
+    const paragraphs = [];
+
+    // An item holds inline content or paragraphs, optionally followed by sublists
+    const inline = inlineText(Array.from(item.childNodes).filter(child =>
+      child.nodeType !== 1 || !['ul', 'ol', 'p'].includes(tagName(child))
+    ));
+    if (inline) paragraphs.push(inline);
+
+    for (const child of childElements(item)) {
+      const name = tagName(child);
+      if (name === 'p') {
+        const text = inlineText(child.childNodes);
+        if (text) paragraphs.push(text);
+      } else if (name === 'ul' || name === 'ol') {
+        nested.push(...listLines(child, depth + 1));
+      }
+    }
+
+    const [first = '', ...rest] = paragraphs;
+    lines.push(`${indent}${marker} ${first}`.trimEnd());
+    lines.push(...rest.map(paragraph => `${indent}  ${paragraph}`));
+    lines.push(...nested);
+  }
+
+  return lines;
+}
+
+function tableRowElements(table) {
+  return childElements(table).flatMap(child => {
+    const name = tagName(child);
+    if (name === 'tr') return [child];
+    return ['thead', 'tbody', 'tfoot'].includes(name) ? tableRowElements(child) : [];
+  });
+}
+
+function rowCells(row) {
+  return childElements(row).filter(cell => ['td', 'th'].includes(tagName(cell)));
+}
+
+function tableRows(table) {
+  return tableRowElements(table)
+    .map(row => rowCells(row).map(cell => inlineText(cell.childNodes)))
+    .filter(cells => cells.some(Boolean))
+    .map(cells => cells.join(' | '));
+}
+
+// Cell text on a grid: a cell spanning several columns or rows fills its
+// first slot and leaves the others empty
+function tableGrid(table) {
+  const grid = [];
+
+  tableRowElements(table).forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let column = 0;
+
+    for (const cell of rowCells(row)) {
+      while (grid[rowIndex][column] !== undefined) column++;
+
+      const colspan = Math.max(1, Number(cell.getAttribute('colspan')) || 1);
+      const rowspan = Math.max(1, Number(cell.getAttribute('rowspan')) || 1);
+      for (let r = 0; r < rowspan; r++) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < colspan; c++) {
+          grid[rowIndex + r][column + c] = r === 0 && c === 0 ? inlineText(cell.childNodes) : '';
+        }
+      }
+      column += colspan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map(row => row.length));
+  return grid
+    .map(row => Array.from({ length: width }, (_, i) => row[i] ?? ''))
+    .filter(row => row.some(Boolean));
+}
+
+// Pass `tables` to also collect top-level tables; nested ones are flattened
+function renderBlocks(node, blocks = [], tables = null) {
+  // Loose text between blocks becomes its own paragraph
+  let pending = '';
+  const flush = () => {
+    const text = pending.replace(/\s+/g, ' ').trim();
+    if (text) blocks.push(text);
+    pending = '';
+  };
+
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === 3) {
+      pending += child.nodeValue;
+      continue;
+    }
+    if (child.nodeType !== 1) continue;
+    flush();
+
+    const name = tagName(child);
+    if (HEADING_TAGS.includes(name)) {
+      const text = inlineText(child.childNodes).replace(/\n/g, ' ');
+      if (text) blocks.push(`${'#'.repeat(Number(name[1]))} ${text}`);
+    } else if (name === 'p') {
+      const text = inlineText(child.childNodes);
+      if (text) blocks.push(text);
+    } else if (name === 'ul' || name === 'ol') {
+      const notes = NOTE_ITEM.test(childElements(child, 'li')[0]?.getAttribute('id') || '');
+      const lines = listLines(child, 0);
+      if (lines.length) blocks.push(...(notes ? ['# Notes'] : []), lines.join('\n'));
+    } else if (name === 'table') {
+      const rows = tableRows(child);
+      if (rows.length) blocks.push(rows.join('\n'));
+      if (rows.length && tables) tables.push({ page: null, rows: tableGrid(child) });
+    } else {
+      renderBlocks(child, blocks, tables);
+    }
+  }
+
+  flush();
+  return blocks;
+}
+
+// Render an HTML fragment as Markdown blocks separated by blank lines.
+// Returns { text, tables: [{ page: null, rows }] }
+export function htmlToMarkdown(html) {
+  const document = parseXml(`<body>${html}</body>`);
+  const tables = [];
+  const text = renderBlocks(document.documentElement, [], tables).join('\n\n');
+  return { text, tables };
+}
@@ -0,0 +1,240 @@
+// Image preprocessing before OCR
+//
+// Phone photos (whiteboards, handouts) OCR far better once they are upright,
+// grayscale, large enough, denoised, straightened and binarized. Each step is
+// optional; only the steps that actually changed the image are reported.
+
+import sharp from 'sharp';
+
+// Pipeline order - steps always run in this order regardless of request order
+export const PREPROCESS_STEPS = ['orient', 'grayscale', 'upscale', 'denoise', 'deskew', 'threshold'];
+
+// Images whose long side is below this are upscaled (Tesseract wants
+// ~20-30px tall text, roughly a 300 DPI scan)
+const MIN_LONG_SIDE = 2000;
+const MIN_UPSCALE = 1.2;
+const MAX_UPSCALE = 3;
+const MEDIAN_SIZE = 3;
+const MAX_SKEW_ANGLE = 15;
+const MIN_SKEW_ANGLE = 0.3;
+const SKEW_ANALYSIS_WIDTH = 1000;
+const MAX_SKEW_SAMPLES = 200000;
+const THRESHOLD_SENSITIVITY = 0.15;
+
+// Parse the per-upload `preprocess` option: "none" (default), "auto" for all
+// steps, or a comma-separated list of step names
+export function parsePreprocessSteps(value) {
+  if (value === undefined || value === null || value === '' || value === 'none') {
+    return [];
+  }
+
+  if (value === 'auto') {
+    return [...PREPROCESS_STEPS];
+  }
+
+  const requested = (Array.isArray(value) ? value : String(value).split(','))
+    .map(step => String(step).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = requested.filter(step => !PREPROCESS_STEPS.includes(step));
+
+  if (unknown.length > 0) {
+    const error = new Error(
+      `Unknown preprocessing step(s): ${unknown.join(', ')}. Use "auto", "none" or a comma-separated list of: ${PREPROCESS_STEPS.join(', ')}`
+    );
+    error.code = 'INVALID_PREPROCESS_STEPS';
+    throw error;
+  }
+
+  return PREPROCESS_STEPS.filter(step => requested.includes(step));
+}
+
+// Bradley adaptive threshold over an 8-bit grayscale buffer: a pixel is ink
+// when it is darker than the mean of its neighbourhood by the sensitivity.
+// Handles uneven lighting (glare, shadows) that breaks a global threshold.
+export function adaptiveThreshold(data, width, height) {
+  const window = Math.max(15, Math.round(Math.max(width, height) / 16)) | 1;
+  const half = window >> 1;
+  const integral = new Float64Array((width + 1) * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const output = Buffer.alloc(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const area = (x1 - x0) * (y1 - y0);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+        - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+
+      output[y * width + x] = data[y * width + x] * area <= sum * (1 - THRESHOLD_SENSITIVITY) ? 0 : 255;
+    }
+  }
+
+  return output;
+}
+
+// Score a rotation by how sharply ink pixels project onto rows: text lines
+// aligned with the rows give tall, narrow peaks (a large sum of squares)
+function projectionScore(points, angle, bins) {
+  const radians = (angle * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const offset = bins.length >> 1;
+  bins.fill(0);
+
+  for (let i = 0; i < points.length; i += 2) {
+    const row = Math.round(points[i + 1] * cos - points[i] * sin) + offset;
+    if (row >= 0 && row < bins.length) bins[row]++;
+  }
+
+  let score = 0;
+  for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i];
+  return score;
+}
+
+// Estimate the skew of text lines in degrees (positive = lines slope down to
+// the right) with a coarse-to-fine projection profile search. Returns 0 when
+// no orientation clearly beats the unrotated image.
+export function detectSkewAngle(data, width, height) {
+  const ink = adaptiveThreshold(data, width, height);
+  let inkCount = 0;
+  for (let i = 0; i < ink.length; i++) if (ink[i] === 0) inkCount++;
+  if (inkCount === 0) return 0;
+
+  // Sample ink pixels as flat [x, y, x, y, ...] pairs
+  const stride = Math.max(1, Math.ceil(inkCount / MAX_SKEW_SAMPLES));
+  const points = new Int32Array(Math.ceil(inkCount / stride) * 2);
+  let seen = 0;
+  let length = 0;
+  for (let i = 0; i < ink.length; i++) {
+    if (ink[i] !== 0) continue;
+    if (seen++ % stride === 0) {
+      points[length++] = i % width;
+      points[length++] = Math.floor(i / width);
+    }
+  }
+
+  const samples = points.subarray(0, length);
+  const bins = new Int32Array(2 * (width + height) + 1);
+  const baseline = projectionScore(samples, 0, bins);
+  let bestAngle = 0;
+  let bestScore = baseline;
+
+  const search = (from, to, step) => {
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const score = projectionScore(samples, angle, bins);
+      if (score > bestScore) {
+        bestScore = score;
+        bestAngle = angle;
+      }
+    }
+  };
+
+  search(-MAX_SKEW_ANGLE, MAX_SKEW_ANGLE, 1);
+  search(bestAngle - 1, bestAngle + 1, 0.1);
+
+  // Noise or pictures without text lines: don't rotate on a marginal gain
+  if (bestScore < baseline * 1.05) return 0;
+  return Math.round(bestAngle * 10) / 10;
+}
+
+// Number of pages/frames in a multi-page TIFF or animated GIF (1 for
+// single-frame images and formats sharp cannot read, e.g. BMP)
+export async function countImageFrames(buffer) {
+  try {
+    const { pages } = await sharp(buffer).metadata();
+    return pages || 1;
+  } catch {
+    return 1;
+  }
+}
+
+// Extract one page/frame (0-based) as a PNG
+export async function extractImageFrame(buffer, index) {
+  return sharp(buffer, { page: index, failOn: 'none' }).png().toBuffer();
+}
+
+// Run the requested preprocessing steps and return a PNG ready for OCR,
+// along with the steps that were applied (and the resulting geometry changes)
+export async function preprocessImage(buffer, steps = []) {
+  if (steps.length === 0) {
+    return { buffer, applied: [] };
+  }
+
+  try {
+    const applied = [];
+    const details = {};
+    const { width, height, orientation } = await sharp(buffer).metadata();
+    let pipeline = sharp(buffer, { failOn: 'none' }).flatten({ background: '#ffffff' });
+
+    // EXIF orientations 5-8 swap width and height
+    let size = { width, height };
+
+    if (steps.includes('orient') && orientation > 1) {
+      pipeline = pipeline.rotate();
+      if (orientation >= 5) size = { width: height, height: width };
+      applied.push('orient');
+    }
+
+    if (steps.includes('grayscale')) {
+      pipeline = pipeline.grayscale();
+      applied.push('grayscale');
+    }
+
+    const scale = Math.min(MAX_UPSCALE, MIN_LONG_SIDE / Math.max(size.width, size.height));
+    if (steps.includes('upscale') && scale >= MIN_UPSCALE) {
+      pipeline = pipeline.resize({ width: Math.round(size.width * scale), kernel: 'lanczos3' });
+      details.scale = Math.round(scale * 100) / 100;
+      applied.push('upscale');
+    }
+
+    if (steps.includes('denoise')) {
+      pipeline = pipeline.median(MEDIAN_SIZE);
+      applied.push('denoise');
+    }
+
+    let output = await pipeline.png().toBuffer();
+
+    if (steps.includes('deskew')) {
+      const { data, info } = await sharp(output)
+        .grayscale()
+        .resize({ width: SKEW_ANALYSIS_WIDTH, withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+      const angle = detectSkewAngle(data, info.width, info.height);
+
+      if (Math.abs(angle) >= MIN_SKEW_ANGLE) {
+        // sharp rotates clockwise; turn the lines back to horizontal
+        output = await sharp(output).rotate(-angle, { background: '#ffffff' }).png().toBuffer();
+        details.skewAngle = angle;
+        applied.push('deskew');
+      }
+    }
+
+    if (steps.includes('threshold')) {
+      const { data, info } = await sharp(output).grayscale().raw().toBuffer({ resolveWithObject: true });
+      output = await sharp(adaptiveThreshold(data, info.width, info.height), {
+        raw: { width: info.width, height: info.height, channels: 1 }
+      }).png().toBuffer();
+      applied.push('threshold');
+    }
+
+    console.log(`🧽 Image preprocessing applied: ${applied.join(', ') || 'none needed'}`);
+    return { buffer: output, applied, ...details };
+
+  } catch (error) {
+    console.error('❌ Image preprocessing failed:', error);
+    throw new Error(`Image preprocessing failed: ${error.message}`);
+  }
+}
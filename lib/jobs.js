@@ -0,0 +1,335 @@
+// Background extraction jobs
+//
+// An upload is queued in the `jobs` collection together with the file, and
+// returns straight away. Workers - inside the API process, or standalone with
+// `npm run worker` - claim queued jobs atomically, so no job runs twice, and
+// record state and progress as they go. A job whose worker stops checking in
+// (crashed, or killed by a deploy) is picked up again, up to JOB_MAX_ATTEMPTS
+// times. Finished jobs keep the extraction id - or for guests, whose
+// extractions aren't saved, the extraction itself - until they expire.
+
+import { randomUUID } from 'crypto';
+import { BSON } from 'mongodb';
+import { getJobsCollection } from './db.js';
+import { createProcessingError, processFile } from './fileProcessor.js';
+import { describeProcessingError, extractionResponse, saveExtraction } from './extractions.js';
+import { deleteUploadFile, readUploadFile } from './uploadStorage.js';
+
+export const JOB_STATES = ['queued', 'running', 'done', 'failed'];
+
+// `inline` runs a worker in the API process; `external` leaves jobs to `npm run worker`
+const JOB_WORKER = process.env.JOB_WORKER || 'inline';
+const JOB_CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 1);
+const JOB_RETENTION_HOURS = Number(process.env.JOB_RETENTION_HOURS) || 24;
+const JOB_POLL_INTERVAL_MS = 1000;
+const JOB_HEARTBEAT_MS = 30 * 1000;
+// Progress within a stage is written at most this often; stage changes always are
+const JOB_PROGRESS_INTERVAL_MS = 500;
+// Extraction progress maps to this range of the job's; the rest is setup and saving
+const EXTRACTION_PROGRESS = { start: 5, end: 90 };
+// A running job without a heartbeat for this long has lost its worker
+const JOB_STALE_MS = 5 * 60 * 1000;
+// Largest result kept on a job, leaving room under Mongo's 16MB document limit
+const MAX_JOB_RESULT_SIZE = 15 * 1024 * 1024;
+const JOB_MAX_ATTEMPTS = 3;
+
+let indexesReady = null;
+
+async function jobsCollection() {
+  const jobs = await getJobsCollection();
+
+  // Workers look for the oldest queued job; finished jobs expire on their own
+  indexesReady = indexesReady || Promise.all([
+    jobs.createIndex({ state: 1, createdAt: 1 }),
+    jobs.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+  ]).catch(error => {
+    indexesReady = null;
+    throw error;
+  });
+  await indexesReady;
+
+  return jobs;
+}
+
+// Who may see a job: the signed-in user, or the guest session. Jobs from
+// requests without any token can be read by whoever holds the (random) id
+function jobOwner(user) {
+  return user?.userId || user?.sessionId || null;
+}
+
+// Queue a file for extraction. Returns the job id. The file is either a
+// multer-style file with its `buffer`, or `{ storageId, ... }` for a file
+// already in upload storage (which the job then owns and deletes). `id`
+// makes queueing idempotent: a second job with the same id is refused
+export async function createJob(file, { user, options = {}, id = randomUUID() } = {}) {
+  const jobs = await jobsCollection();
+  const now = new Date();
+
+  await jobs.insertOne({
+    _id: id,
+    type: 'extraction',
+    state: 'queued',
+    progress: 0,
+    stage: 'queued',
+    owner: jobOwner(user),
+    user: user ? { userId: user.userId, role: user.role, sessionId: user.sessionId } : null,
+    file: {
+      ...(file.storageId ? { storageId: file.storageId } : { buffer: file.buffer }),
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size
+    },
+    options,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: new Date(now.getTime() + JOB_RETENTION_HOURS * 60 * 60 * 1000)
+  });
+
+  console.log(`🗂️ Job ${id} queued: ${file.originalname}`);
+  wakeWorkers();
+  return id;
+}
+
+// A job as returned by the API, or null when it doesn't exist or belongs to
+// someone else
+export async function getJob(id, user) {
+  const jobs = await jobsCollection();
+  const job = await jobs.findOne({ _id: String(id) }, { projection: { file: 0, options: 0 } });
+
+  if (!job || (job.owner && job.owner !== jobOwner(user))) {
+    return null;
+  }
+
+  return {
+    id: job._id,
+    state: job.state,
+    progress: job.progress,
+    stage: job.stage,
+    // Page N of M and OCR progress of the current page, while extracting
+    ...(job.detail && { detail: job.detail }),
+    filename: job.filename || null,
+    extractionId: job.extractionId || null,
+    // Guests' extractions aren't saved, so the job carries the result
+    ...(job.result && { result: job.result }),
+    ...(job.error && { error: job.error }),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null
+  };
+}
+
+async function updateJob(id, fields, unset = null) {
+  const jobs = await jobsCollection();
+  const now = new Date();
+  await jobs.updateOne(
+    { _id: id },
+    {
+      $set: { ...fields, updatedAt: now, heartbeatAt: now },
+      ...(unset && { $unset: unset })
+    }
+  );
+}
+
+// Record progress (0-100), the current stage and its details for a running job
+export async function updateJobProgress(id, progress, stage, detail = null) {
+  await updateJob(id, { progress: Math.round(Math.min(100, Math.max(0, progress))), stage, detail });
+}
+
+// processFile's onProgress for a job. Writes are queued so they land in order,
+// and throttled; `flush()` waits for the last one
+function jobProgressReporter(id) {
+  let writes = Promise.resolve();
+  let lastStage = null;
+  let lastWrite = 0;
+
+  const onProgress = ({ stage, progress, ...detail }) => {
+    const now = Date.now();
+    if (stage === lastStage && now - lastWrite < JOB_PROGRESS_INTERVAL_MS) return;
+    lastStage = stage;
+    lastWrite = now;
+
+    const { start, end } = EXTRACTION_PROGRESS;
+    writes = writes
+      .then(() => updateJobProgress(id, start + progress * (end - start), stage, Object.keys(detail).length ? detail : null))
+      .catch(error => console.warn(`⚠️ Job ${id} progress update failed:`, error.message));
+  };
+
+  return { onProgress, flush: () => writes };
+}
+
+// Claim the oldest queued job, or a running one whose worker has gone away
+async function claimJob() {
+  const jobs = await jobsCollection();
+  const now = new Date();
+  const stale = new Date(now.getTime() - JOB_STALE_MS);
+
+  // Jobs that keep taking their worker down are given up on
+  const abandoned = { state: 'running', heartbeatAt: { $lt: stale }, attempts: { $gte: JOB_MAX_ATTEMPTS } };
+  const abandonedFiles = await jobs
+    .find({ ...abandoned, 'file.storageId': { $exists: true } }, { projection: { 'file.storageId': 1 } })
+    .toArray();
+  await jobs.updateMany(
+    abandoned,
+    {
+      $set: {
+        state: 'failed',
+        stage: 'failed',
+        error: { status: 500, error: 'Processing was interrupted too many times. Please try again.', code: 'JOB_INTERRUPTED' },
+        finishedAt: now,
+        updatedAt: now
+      },
+      $unset: { file: '', options: '' }
+    }
+  );
+  await Promise.all(abandonedFiles.map(job => deleteUploadFile(job.file.storageId)));
+
+  return jobs.findOneAndUpdate(
+    {
+      $or: [
+        { state: 'queued' },
+        { state: 'running', heartbeatAt: { $lt: stale }, attempts: { $lt: JOB_MAX_ATTEMPTS } }
+      ]
+    },
+    {
+      $set: { state: 'running', stage: 'starting', progress: 0, detail: null, startedAt: now, heartbeatAt: now, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+// Process a claimed job and record its outcome. The file and options
+// (which may hold a PDF password) are dropped once the job is finished
+async function runJob(job) {
+  const { buffer, storageId, ...file } = job.file;
+  const heartbeat = setInterval(() => {
+    updateJob(job._id, {}).catch(error => console.warn(`⚠️ Job ${job._id} heartbeat failed:`, error.message));
+  }, JOB_HEARTBEAT_MS);
+
+  console.log(`⚙️ Job ${job._id} running (attempt ${job.attempts}): ${file.originalname}`);
+
+  const progress = jobProgressReporter(job._id);
+
+  try {
+    await updateJobProgress(job._id, EXTRACTION_PROGRESS.start, 'processing');
+    const data = storageId ? await readUploadFile(storageId) : Buffer.from(buffer.buffer);
+    const result = await processFile({ ...file, buffer: data }, {
+      ...job.options,
+      onProgress: progress.onProgress
+    });
+    await progress.flush();
+
+    await updateJobProgress(job._id, 95, 'saving');
+    const extractionId = await saveExtraction(result, job.user);
+
+    // Not saved (guest, or the database write failed) - keep the result for the client
+    const response = extractionId ? null : extractionResponse(result, job.user, null);
+    if (response && BSON.calculateObjectSize(response) > MAX_JOB_RESULT_SIZE) {
+      throw createProcessingError(
+        'The extracted text is too large to return. Please split the file into smaller parts.',
+        'RESULT_TOO_LARGE'
+      );
+    }
+
+    await updateJob(job._id, {
+      state: 'done',
+      stage: 'done',
+      progress: 100,
+      detail: null,
+      filename: file.originalname,
+      extractionId,
+      ...(response && { result: response }),
+      finishedAt: new Date()
+    }, { file: '', options: '' });
+
+    console.log(`✅ Job ${job._id} done${extractionId ? `: extraction ${extractionId}` : ''}`);
+  } catch (error) {
+    console.error(`❌ Job ${job._id} failed:`, error.message);
+    const { status, body } = describeProcessingError(error);
+    await progress.flush();
+
+    await updateJob(job._id, {
+      state: 'failed',
+      stage: 'failed',
+      detail: null,
+      filename: file.originalname,
+      error: { status, ...body },
+      finishedAt: new Date()
+    }, { file: '', options: '' }).catch(updateError => {
+      console.error(`⚠️ Could not record failure of job ${job._id}:`, updateError.message);
+    });
+  } finally {
+    clearInterval(heartbeat);
+    if (storageId) {
+      await deleteUploadFile(storageId).catch(error => console.warn(`⚠️ Could not delete upload file ${storageId}:`, error.message));
+    }
+  }
+}
+
+// Idle workers poll for jobs; a job queued in this process wakes them at once
+const sleepers = new Set();
+
+function wakeWorkers() {
+  for (const wake of sleepers) wake();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => {
+    const wake = () => {
+      clearTimeout(timer);
+      sleepers.delete(wake);
+      resolve();
+    };
+    const timer = setTimeout(wake, ms);
+    sleepers.add(wake);
+  });
+}
+
+// Start processing jobs, `concurrency` at a time. Returns { stop }, which
+// resolves once the jobs in progress have finished
+export function startJobWorker({ concurrency = JOB_CONCURRENCY } = {}) {
+  let stopped = false;
+
+  async function loop() {
+    while (!stopped) {
+      let job = null;
+      try {
+        job = await claimJob();
+      } catch (error) {
+        console.error('⚠️ Could not claim a job:', error.message);
+      }
+
+      if (job) {
+        await runJob(job);
+      } else {
+        await sleep(JOB_POLL_INTERVAL_MS);
+      }
+    }
+  }
+
+  console.log(`⚙️ Job worker started (${concurrency} at a time)`);
+  const loops = Array.from({ length: concurrency }, loop);
+
+  return {
+    stop: async () => {
+      stopped = true;
+      wakeWorkers();
+      await Promise.all(loops);
+    }
+  };
+}
+
+// Start the in-process worker once, unless jobs are left to a standalone one
+export function ensureJobWorker() {
+  if (JOB_WORKER !== 'inline') return;
+
+  // Keep a single worker across module reloads caused by HMR
+  if (!global._jobWorker) {
+    // Serverless functions are frozen after responding, taking the worker with them
+    if (process.env.VERCEL) {
+      console.warn('⚠️ JOB_WORKER=inline on Vercel: jobs are cut off when the function responds. Set JOB_WORKER=external and run `npm run worker`.');
+    }
+    global._jobWorker = startJobWorker();
+  }
+}
@@ -0,0 +1,86 @@
+// OCR language selection
+//
+// Languages use Tesseract's traineddata names joined with '+' (e.g.
+// "eng+deu+urd"). "auto" runs orientation and script detection (OSD) first
+// and picks the languages for the detected script.
+
+export const DEFAULT_OCR_LANGUAGES = 'eng';
+export const AUTO_OCR_LANGUAGES = 'auto';
+
+const MAX_OCR_LANGUAGES = 5;
+const LANGUAGE_PATTERN = /^[a-z]{3}(?:_[a-z]+)?$/;
+
+// Latin covers many languages; let deployments choose which ones to load
+const LATIN_LANGUAGES = process.env.OCR_LATIN_LANGUAGES || DEFAULT_OCR_LANGUAGES;
+
+// Tesseract OSD script names -> traineddata to recognize them with
+const SCRIPT_LANGUAGES = {
+  Latin: LATIN_LANGUAGES,
+  Fraktur: LATIN_LANGUAGES,
+  Cyrillic: 'rus',
+  Arabic: 'ara',
+  Han: 'chi_sim',
+  HanS: 'chi_sim',
+  HanT: 'chi_tra',
+  Japanese: 'jpn',
+  Katakana: 'jpn',
+  Hiragana: 'jpn',
+  Hangul: 'kor',
+  Korean: 'kor',
+  Devanagari: 'hin',
+  Bengali: 'ben',
+  Gujarati: 'guj',
+  Gurmukhi: 'pan',
+  Kannada: 'kan',
+  Malayalam: 'mal',
+  Tamil: 'tam',
+  Telugu: 'tel',
+  Sinhala: 'sin',
+  Greek: 'ell',
+  Hebrew: 'heb',
+  Armenian: 'hye',
+  Georgian: 'kat',
+  Ethiopic: 'amh',
+  Thai: 'tha',
+  Lao: 'lao',
+  Khmer: 'khm',
+  Myanmar: 'mya',
+  Tibetan: 'bod'
+};
+
+// Normalize a requested language string. Throws an error with code
+// INVALID_OCR_LANGUAGES for anything that is not a '+'-joined list of
+// traineddata names or "auto".
+export function parseOcrLanguages(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_OCR_LANGUAGES;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === AUTO_OCR_LANGUAGES) {
+    return AUTO_OCR_LANGUAGES;
+  }
+
+  const languages = normalized.split('+').map(language => language.trim());
+  const valid = languages.every(language => LANGUAGE_PATTERN.test(language));
+
+  if (!valid || languages.length > MAX_OCR_LANGUAGES) {
+    const error = new Error(
+      `Invalid OCR languages: "${value}". Use up to ${MAX_OCR_LANGUAGES} Tesseract language codes joined with "+" (e.g. "eng+deu"), or "auto".`
+    );
+    error.code = 'INVALID_OCR_LANGUAGES';
+    throw error;
+  }
+
+  return [...new Set(languages)].join('+');
+}
+
+// Languages to use for a script reported by OSD (defaults to English)
+export function languagesForScript(script) {
+  return SCRIPT_LANGUAGES[script] || DEFAULT_OCR_LANGUAGES;
+}
+
+// The Latin-only character whitelist is only safe for English on its own
+export function usesLatinWhitelist(languages) {
+  return languages === 'eng';
+}
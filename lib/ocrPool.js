@@ -0,0 +1,152 @@
+// Shared pool of Tesseract workers
+//
+// Creating a worker loads the engine and its traineddata, which costs far more
+// than recognizing a typical page. Workers are kept per language set and
+// reused across requests, up to OCR_MAX_WORKERS at a time; idle workers are
+// terminated after OCR_IDLE_TIMEOUT_MS. When the pool is full, an idle worker
+// for other languages is replaced, otherwise callers wait their turn.
+
+import { createWorker } from 'tesseract.js';
+
+const OCR_MAX_WORKERS = Math.max(1, Number(process.env.OCR_MAX_WORKERS) || 2);
+const OCR_IDLE_TIMEOUT_MS = Number(process.env.OCR_IDLE_TIMEOUT_MS) || 60000;
+
+function createPool() {
+  return { workers: new Set(), waiting: [] };
+}
+
+let pool;
+
+if (process.env.NODE_ENV === 'development') {
+  // Keep workers across module reloads caused by HMR instead of leaking them
+  if (!global._ocrPool) {
+    global._ocrPool = createPool();
+  }
+  pool = global._ocrPool;
+} else {
+  pool = createPool();
+}
+
+// Tesseract worker options, with traineddata from TESSDATA_URL if provided
+function getTesseractOptions() {
+  const workerOptions = {};
+
+  if (process.env.TESSDATA_URL) {
+    workerOptions.langPath = process.env.TESSDATA_URL;
+
+    // A local tessdata directory is already on disk - don't copy it into the cwd
+    if (!/^https?:\/\//i.test(process.env.TESSDATA_URL)) {
+      workerOptions.cacheMethod = 'none';
+    }
+  }
+
+  // Set TESSDATA_GZIP=false for uncompressed .traineddata files
+  if (process.env.TESSDATA_GZIP === 'false') {
+    workerOptions.gzip = false;
+  }
+
+  return workerOptions;
+}
+
+function spawn(key, config) {
+  const entry = { key, languages: config.languages, busy: true, idleTimer: null, onProgress: null };
+
+  console.log(`⚙️ Starting OCR worker for "${config.languages}" (${pool.workers.size + 1}/${OCR_MAX_WORKERS})`);
+  entry.ready = createWorker(config.languages, config.legacy ? 0 : 1, {
+    ...getTesseractOptions(),
+    ...(config.legacy && { legacyCore: true, legacyLang: true }),
+    logger: message => entry.onProgress?.(message)
+  });
+  // Failures surface to the caller awaiting `ready`; never leave them unhandled
+  entry.ready.catch(() => {});
+
+  pool.workers.add(entry);
+  return entry;
+}
+
+function retire(entry) {
+  pool.workers.delete(entry);
+  clearTimeout(entry.idleTimer);
+
+  entry.ready
+    .then(worker => worker.terminate())
+    .then(() => console.log(`🧹 OCR worker for "${entry.languages}" terminated`))
+    .catch(error => console.error('⚠️ OCR worker cleanup error:', error));
+}
+
+// Claim an idle worker for the key, start a new one, or replace an idle
+// worker for other languages. Returns null when every worker is busy.
+function claim(request) {
+  const entries = [...pool.workers];
+  let entry = entries.find(candidate => !candidate.busy && candidate.key === request.key);
+
+  if (entry) {
+    clearTimeout(entry.idleTimer);
+    entry.busy = true;
+    return entry;
+  }
+
+  if (pool.workers.size >= OCR_MAX_WORKERS) {
+    const idle = entries.find(candidate => !candidate.busy);
+    if (!idle) return null;
+    retire(idle);
+  }
+
+  return spawn(request.key, request.config);
+}
+
+// Hand out workers to waiting callers in arrival order where possible
+function dispatch() {
+  for (let i = 0; i < pool.waiting.length;) {
+    const entry = claim(pool.waiting[i]);
+    if (!entry) {
+      i++;
+      continue;
+    }
+    const [request] = pool.waiting.splice(i, 1);
+    request.resolve(entry);
+  }
+}
+
+function release(entry, healthy) {
+  entry.onProgress = null;
+
+  // A worker that failed mid-job may be in a bad state - replace it
+  if (!healthy) {
+    retire(entry);
+  } else {
+    entry.busy = false;
+    entry.idleTimer = setTimeout(() => {
+      retire(entry);
+      dispatch();
+    }, OCR_IDLE_TIMEOUT_MS);
+    entry.idleTimer.unref?.();
+  }
+
+  dispatch();
+}
+
+// Run `task(worker)` on a pooled worker for the given languages
+// Options: { legacy } for the legacy engine (needed for OSD),
+//          { onProgress } receives Tesseract progress messages for this job
+export async function withOcrWorker(languages, task, options = {}) {
+  const config = { languages, legacy: Boolean(options.legacy) };
+  const key = config.legacy ? `${languages}:legacy` : languages;
+
+  const entry = await new Promise(resolve => {
+    pool.waiting.push({ key, config, resolve });
+    dispatch();
+  });
+
+  let healthy = true;
+  try {
+    const worker = await entry.ready;
+    entry.onProgress = options.onProgress || null;
+    return await task(worker);
+  } catch (error) {
+    healthy = false;
+    throw error;
+  } finally {
+    release(entry, healthy);
+  }
+}
@@ -0,0 +1,506 @@
+// Layout analysis for pdf.js text content
+//
+// pdf.js returns positioned text runs in content-stream order, which for
+// multi-column documents interleaves the columns. This pass rebuilds reading
+// order from item transforms: runs are merged into line fragments, vertical
+// gutters split the page into columns, and lines are grouped into headings
+// (by font size relative to the body text) and paragraphs (by vertical gaps).
+// Tables are found first, from rows of baseline-aligned cells, so their
+// columns are not mistaken for page columns.
+
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_WORDS = 15;
+const MIN_GUTTER_WIDTH = 8;
+const PARAGRAPH_GAP_RATIO = 1.5;
+const MIN_TABLE_ROWS = 3;
+const MAX_CELL_WORDS = 6;
+// Lines of prose carry several words; shorter cells aren't taken as wrapped text
+const MIN_WRAPPED_WORDS = 3;
+const TABLE_ROW_GAP_RATIO = 2.5;
+const LIST_MARKER = /^(?:[-–•▪◦*]|\(?\d{1,3}[.)]|\(?[a-z][.)])$/i;
+
+// Convert pdf.js items into positioned runs (PDF user space, origin bottom-left)
+function toRuns(items) {
+  return items
+    .filter(item => typeof item.str === 'string' && item.str.trim().length > 0)
+    .map(item => {
+      const [a, b, c, d, x, y] = item.transform;
+      const fontSize = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 10;
+      return {
+        str: item.str,
+        x,
+        y,
+        width: item.width || item.str.length * fontSize * 0.5,
+        fontSize
+      };
+    });
+}
+
+// Character-weighted most common font size of pdf.js items, i.e. the body
+// text size. Compute it over the whole document for consistent headings.
+export function detectBodyFontSize(items) {
+  const weights = new Map();
+
+  for (const run of toRuns(items)) {
+    const size = Math.round(run.fontSize * 2) / 2;
+    weights.set(size, (weights.get(size) || 0) + run.str.trim().length);
+  }
+
+  let bodySize = 0;
+  let bestWeight = -1;
+  for (const [size, weight] of weights) {
+    if (weight > bestWeight) {
+      bodySize = size;
+      bestWeight = weight;
+    }
+  }
+
+  return bodySize || 10;
+}
+
+// Merge runs that sit on the same baseline and are close together into
+// fragments; large horizontal gaps (column gutters, table cells) split them
+function buildFragments(runs) {
+  const sorted = [...runs].sort((a, b) => (Math.abs(b.y - a.y) > 0.5 ? b.y - a.y : a.x - b.x));
+  const fragments = [];
+
+  for (const run of sorted) {
+    const last = fragments[fragments.length - 1];
+    const sameLine = last && Math.abs(last.y - run.y) < Math.max(last.fontSize, run.fontSize) * 0.5;
+    const gap = last ? run.x - last.x1 : Infinity;
+
+    if (sameLine && gap < Math.max(last.fontSize, run.fontSize) && gap > -last.fontSize) {
+      const needsSpace = gap > run.fontSize * 0.15 && !/\s$/.test(last.text) && !/^\s/.test(run.str);
+      last.text += (needsSpace ? ' ' : '') + run.str;
+      last.x1 = Math.max(last.x1, run.x + run.width);
+      last.fontSize = Math.max(last.fontSize, run.fontSize);
+      last.chars += run.str.length;
+    } else {
+      fragments.push({
+        text: run.str,
+        x0: run.x,
+        x1: run.x + run.width,
+        y: run.y,
+        fontSize: run.fontSize,
+        chars: run.str.length
+      });
+    }
+  }
+
+  return fragments.map(fragment => ({ ...fragment, text: fragment.text.replace(/\s+/g, ' ').trim() }));
+}
+
+// Find vertical gutters: x ranges crossed by (almost) no fragments with a
+// meaningful amount of text on both sides
+export function detectColumns(fragments) {
+  if (fragments.length < 6) {
+    return [];
+  }
+
+  const minX = Math.floor(Math.min(...fragments.map(fragment => fragment.x0)));
+  const maxX = Math.ceil(Math.max(...fragments.map(fragment => fragment.x1)));
+  const width = maxX - minX;
+  if (width <= 0) return [];
+
+  const coverage = new Array(width + 1).fill(0);
+  for (const fragment of fragments) {
+    for (let x = Math.max(minX, Math.floor(fragment.x0)); x < Math.min(maxX, Math.ceil(fragment.x1)); x++) {
+      coverage[x - minX]++;
+    }
+  }
+
+  // Allow a few spanning fragments (titles, full-width figures captions)
+  const tolerance = Math.max(2, Math.floor(fragments.length * 0.1));
+  const totalChars = fragments.reduce((sum, fragment) => sum + fragment.chars, 0);
+  const gutters = [];
+  let runStart = -1;
+
+  for (let i = 0; i <= width; i++) {
+    const open = i < width && coverage[i] <= tolerance;
+
+    if (open && runStart === -1) {
+      runStart = i;
+    } else if (!open && runStart !== -1) {
+      const runWidth = i - runStart;
+      const center = minX + runStart + runWidth / 2;
+
+      if (runWidth >= MIN_GUTTER_WIDTH && runStart > 0 && i < width) {
+        const leftChars = fragments.filter(fragment => fragment.x1 <= center).reduce((sum, f) => sum + f.chars, 0);
+        const rightChars = fragments.filter(fragment => fragment.x0 >= center).reduce((sum, f) => sum + f.chars, 0);
+
+        if (leftChars > totalChars * 0.2 && rightChars > totalChars * 0.2) {
+          gutters.push(center);
+        }
+      }
+      runStart = -1;
+    }
+  }
+
+  return gutters;
+}
+
+// Group fragments that share a baseline into rows, top to bottom
+function groupRows(fragments) {
+  const rows = [];
+
+  for (const fragment of [...fragments].sort((a, b) => b.y - a.y || a.x0 - b.x0)) {
+    const last = rows[rows.length - 1];
+    if (last && Math.abs(last.y - fragment.y) < Math.max(last.fontSize, fragment.fontSize) * 0.5) {
+      last.cells.push(fragment);
+      last.fontSize = Math.max(last.fontSize, fragment.fontSize);
+    } else {
+      rows.push({ y: fragment.y, fontSize: fragment.fontSize, cells: [fragment] });
+    }
+  }
+
+  rows.forEach(row => row.cells.sort((a, b) => a.x0 - b.x0));
+  return rows;
+}
+
+// Table columns are the x ranges left after merging every cell's extent
+function tableSlots(rows) {
+  const extents = rows
+    .flatMap(row => row.cells.map(cell => [cell.x0, cell.x1]))
+    .sort((a, b) => a[0] - b[0]);
+  const slots = [];
+
+  for (const [x0, x1] of extents) {
+    const last = slots[slots.length - 1];
+    if (last && x0 <= last[1]) {
+      last[1] = Math.max(last[1], x1);
+    } else {
+      slots.push([x0, x1]);
+    }
+  }
+
+  return slots;
+}
+
+function slotOf(cell, slots) {
+  return slots.findIndex(([x0, x1]) => cell.x0 >= x0 && cell.x1 <= x1);
+}
+
+// Narrow columns of prose line up like table cells, but their text carries on
+// from one row to the next: a line without closing punctuation followed by
+// one starting in lowercase, or a word hyphenated across the break. A run is
+// prose when that holds for most row pairs in every column; table columns of
+// short labels, numbers or capitalized entries don't continue like that
+function readsAsProse(run, slots) {
+  const columns = slots.map(() => []);
+  for (const row of run) {
+    const inRow = new Map(row.cells.map(cell => [slotOf(cell, slots), cell.text]));
+    slots.forEach((slot, i) => columns[i].push(inRow.get(i) ?? null));
+  }
+
+  return columns.every(texts => {
+    let pairs = 0;
+    let continued = 0;
+
+    for (let i = 1; i < texts.length; i++) {
+      const [above, below] = [texts[i - 1], texts[i]];
+      if (above === null || below === null) continue;
+
+      pairs++;
+      const wrapped = above.split(/\s+/).length >= MIN_WRAPPED_WORDS
+        && !/[.!?:;]["”)]?$/.test(above) && /^\p{Ll}/u.test(below);
+      if (wrapped || (/\p{L}-$/u.test(above) && /^\p{Ll}/u.test(below))) continued++;
+    }
+
+    return pairs > 0 && continued >= pairs / 2;
+  });
+}
+
+// Turn a run of multi-cell rows into a table, or null when it reads like
+// something else: two-column prose (long cells, or sentences continuing
+// from row to row) or a list (markers in front)
+function buildTable(run) {
+  if (run.length < MIN_TABLE_ROWS) return null;
+
+  const slots = tableSlots(run);
+  if (slots.length < 2) return null;
+
+  const cells = run.flatMap(row => row.cells);
+  if (median(cells.map(cell => cell.text.split(/\s+/).length)) > MAX_CELL_WORDS) return null;
+  if (run.every(row => LIST_MARKER.test(row.cells[0].text))) return null;
+  if (readsAsProse(run, slots)) return null;
+
+  const rows = run.map(row => {
+    const values = slots.map(() => '');
+    for (const cell of row.cells) {
+      const slot = slotOf(cell, slots);
+      values[slot] = values[slot] ? `${values[slot]} ${cell.text}` : cell.text;
+    }
+    return values;
+  });
+
+  return {
+    type: 'table',
+    rows,
+    fragments: cells,
+    y: run[0].y,
+    x0: slots[0][0],
+    x1: slots[slots.length - 1][1]
+  };
+}
+
+// Find tables: runs of at least MIN_TABLE_ROWS closely spaced rows that each
+// have several cells separated by wide gaps
+export function detectTables(fragments) {
+  const tables = [];
+  let run = [];
+
+  const finish = () => {
+    const table = buildTable(run);
+    if (table) tables.push(table);
+    run = [];
+  };
+
+  for (const row of groupRows(fragments)) {
+    const previous = run[run.length - 1];
+    const close = previous && previous.y - row.y <= Math.max(previous.fontSize, row.fontSize) * TABLE_ROW_GAP_RATIO;
+
+    if (row.cells.length < 2 || (previous && !close)) {
+      finish();
+    }
+    if (row.cells.length >= 2) {
+      run.push(row);
+    }
+  }
+
+  finish();
+  return tables;
+}
+
+function columnOf(fragment, gutters) {
+  for (let i = 0; i < gutters.length; i++) {
+    if (fragment.x0 < gutters[i] && fragment.x1 > gutters[i]) return -1; // spans a gutter
+    if (fragment.x1 <= gutters[i]) return i;
+  }
+  return gutters.length;
+}
+
+// Order fragments for reading: spanning fragments divide the page into
+// horizontal bands; inside a band, columns are read left to right
+function orderFragments(fragments, gutters) {
+  const byY = (a, b) => b.y - a.y || a.x0 - b.x0;
+
+  if (gutters.length === 0) {
+    return [{ column: 0, fragments: [...fragments].sort(byY) }];
+  }
+
+  const spanning = fragments.filter(fragment => columnOf(fragment, gutters) === -1).sort(byY);
+  const groups = [];
+  let upperY = Infinity;
+
+  for (const divider of [...spanning, null]) {
+    const lowerY = divider ? divider.y : -Infinity;
+
+    for (let column = 0; column <= gutters.length; column++) {
+      const inBand = fragments
+        .filter(fragment => columnOf(fragment, gutters) === column && fragment.y < upperY && fragment.y > lowerY)
+        .sort(byY);
+      if (inBand.length) groups.push({ column, fragments: inBand });
+    }
+
+    if (divider) {
+      groups.push({ column: -1, fragments: [divider] });
+      upperY = divider.y;
+    }
+  }
+
+  return groups;
+}
+
+// Merge fragments of the same column that share a baseline (e.g. table cells)
+function toLines(fragments) {
+  const lines = [];
+
+  for (const fragment of fragments) {
+    const last = lines[lines.length - 1];
+    if (last && Math.abs(last.y - fragment.y) < Math.max(last.fontSize, fragment.fontSize) * 0.5) {
+      last.cells.push(fragment);
+      last.text += '  ' + fragment.text;
+      last.fontSize = Math.max(last.fontSize, fragment.fontSize);
+      last.x1 = Math.max(last.x1, fragment.x1);
+    } else {
+      lines.push({ ...fragment, cells: [fragment] });
+    }
+  }
+
+  return lines;
+}
+
+function headingLevel(line, bodyFontSize) {
+  const ratio = line.fontSize / bodyFontSize;
+  const words = line.text.split(/\s+/).length;
+
+  if (ratio < HEADING_SIZE_RATIO || words > MAX_HEADING_WORDS || !/\p{L}/u.test(line.text)) {
+    return 0;
+  }
+  if (ratio >= 1.6) return 1;
+  if (ratio >= 1.3) return 2;
+  return 3;
+}
+
+// Join wrapped lines, repairing words hyphenated across line breaks
+function joinLines(lines) {
+  return lines.reduce((text, line) => {
+    if (!text) return line.text;
+    if (/\p{L}-$/u.test(text) && /^\p{Ll}/u.test(line.text)) {
+      return text.slice(0, -1) + line.text;
+    }
+    return `${text} ${line.text}`;
+  }, '');
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Group a column's lines into heading and paragraph blocks
+function buildBlocks(lines, bodyFontSize, column) {
+  const blocks = [];
+  const gaps = lines.slice(1).map((line, i) => lines[i].y - line.y).filter(gap => gap > 0);
+  const lineSpacing = median(gaps) || bodyFontSize * 1.2;
+  let paragraph = [];
+
+  const flush = () => {
+    if (paragraph.length) {
+      blocks.push({ type: 'paragraph', text: joinLines(paragraph), column, lines: paragraph });
+      paragraph = [];
+    }
+  };
+
+  lines.forEach((line, i) => {
+    const level = headingLevel(line, bodyFontSize);
+
+    if (level) {
+      flush();
+      const previous = blocks[blocks.length - 1];
+      // Headings wrapped over several lines stay one heading
+      if (previous?.type === 'heading' && previous.level === level && lines[i - 1] && lines[i - 1].y - line.y <= line.fontSize * 1.6) {
+        previous.text += ` ${line.text}`;
+      } else {
+        blocks.push({ type: 'heading', level, text: line.text, column, y: line.y, x0: line.x0, x1: line.x1 });
+      }
+      return;
+    }
+
+    const previousLine = paragraph[paragraph.length - 1];
+    if (previousLine) {
+      const gap = previousLine.y - line.y;
+      const sizeChange = Math.abs(previousLine.fontSize - line.fontSize) > bodyFontSize * 0.15;
+      if (gap > lineSpacing * PARAGRAPH_GAP_RATIO || gap < 0 || sizeChange) {
+        flush();
+      }
+    }
+
+    paragraph.push(line);
+  });
+
+  flush();
+  return blocks;
+}
+
+// Top and horizontal extent of a block, in PDF user space
+function blockBounds(block) {
+  if (!block.lines) {
+    return { y: block.y, x0: block.x0, x1: block.x1 };
+  }
+  return {
+    y: block.lines[0].y,
+    x0: Math.min(...block.lines.map(line => line.x0)),
+    x1: Math.max(...block.lines.map(line => line.x1))
+  };
+}
+
+function renderBlock(block) {
+  if (block.type === 'heading') return `${'#'.repeat(block.level)} ${block.text}`;
+  if (block.type === 'table') return block.rows.map(row => row.join(' | ')).join('\n');
+  return block.text;
+}
+
+// Render blocks as text: Markdown-style headings, table rows with cells
+// separated by ` | `, blank lines between blocks
+export function renderBlocks(blocks) {
+  return blocks.map(renderBlock).join('\n\n');
+}
+
+// Main layout analysis function for a single page
+export function analyzePageLayout(items, options = {}) {
+  const runs = toRuns(items);
+
+  if (runs.length === 0) {
+    const blocks = (options.images || []).map(image => ({ type: 'image', text: image.text }));
+    return { text: renderBlocks(blocks), blocks, columns: 0, tables: [] };
+  }
+
+  const bodyFontSize = options.bodyFontSize || detectBodyFontSize(items);
+  const fragments = buildFragments(runs);
+  const tables = detectTables(fragments);
+  const tableFragments = new Set(tables.flatMap(table => table.fragments));
+  const textFragments = fragments.filter(fragment => !tableFragments.has(fragment));
+  const gutters = detectColumns(textFragments);
+  const blocks = [];
+
+  for (const group of orderFragments(textFragments, gutters)) {
+    blocks.push(...buildBlocks(toLines(group.fragments), bodyFontSize, group.column));
+  }
+
+  // Paragraphs interrupted by a column or band break continue if the earlier
+  // block did not end a sentence
+  const merged = [];
+  for (const block of blocks) {
+    const previous = merged[merged.length - 1];
+    if (
+      previous?.type === 'paragraph' && block.type === 'paragraph'
+      && previous.column !== block.column
+      && !/[.!?:;"”)]$/.test(previous.text) && /^\p{Ll}/u.test(block.text)
+    ) {
+      previous.text = joinLines([{ text: previous.text }, { text: block.text }]);
+      previous.lines = [...previous.lines, ...block.lines];
+    } else {
+      merged.push(block);
+    }
+  }
+
+  // OCR text of embedded images ({ text, x0, x1, y }) is placed like a table
+  const images = (options.images || []).map(image => ({
+    type: 'image', text: image.text, y: image.y, x0: image.x0, x1: image.x1
+  }));
+
+  // Each table or image goes before the first block below it that shares its
+  // x range, splitting a paragraph whose lines run past it
+  for (const inserted of [...tables, ...images].sort((a, b) => b.y - a.y)) {
+    const overlaps = block => {
+      const bounds = blockBounds(block);
+      return bounds.x0 < inserted.x1 && bounds.x1 > inserted.x0;
+    };
+
+    const spanning = merged.findIndex(block => block.type === 'paragraph' && overlaps(block)
+      && block.lines[0].y > inserted.y && block.lines[block.lines.length - 1].y < inserted.y);
+    if (spanning !== -1) {
+      const block = merged[spanning];
+      const split = block.lines.findIndex(line => line.y < inserted.y);
+      const above = block.lines.slice(0, split);
+      const below = block.lines.slice(split);
+      if (below.every(line => line.y < inserted.y)) {
+        merged.splice(spanning, 1,
+          { ...block, text: joinLines(above), lines: above },
+          { ...block, text: joinLines(below), lines: below });
+      }
+    }
+
+    const index = merged.findIndex(block => blockBounds(block).y < inserted.y && overlaps(block));
+    merged.splice(index === -1 ? merged.length : index, 0, inserted);
+  }
+
+  return {
+    text: renderBlocks(merged),
+    blocks: merged,
+    columns: gutters.length + 1,
+    tables: tables.map(table => ({ rows: table.rows }))
+  };
+}
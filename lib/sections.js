@@ -0,0 +1,42 @@
+// Section tree from extracted text
+//
+// Every extractor marks headings Markdown-style (`#` to `######`), so chapter
+// and section boundaries can be recovered from the final text with character
+// offsets that stay valid for summaries and highlights.
+
+const HEADING_PATTERN = /^(#{1,6})[ \t]+(.+?)[ \t]*#*[ \t]*$/gm;
+const FENCE_PATTERN = /^[ \t]*(```|~~~)[\s\S]*?^[ \t]*\1[ \t]*$/gm;
+
+// Build [{ title, level, charStart, charEnd, children }] from the headings in
+// `text`. A section runs from its heading to the next heading of the same or a
+// higher level.
+export function extractSections(text) {
+  // Headings inside fenced code blocks are comments, not structure
+  const fences = [...text.matchAll(FENCE_PATTERN)].map(match => [match.index, match.index + match[0].length]);
+  const headings = [...text.matchAll(HEADING_PATTERN)]
+    .filter(match => !fences.some(([start, end]) => match.index >= start && match.index < end))
+    .map(match => ({ level: match[1].length, title: match[2].trim(), charStart: match.index }));
+
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  headings.forEach((heading, i) => {
+    const next = headings.slice(i + 1).find(candidate => candidate.level <= heading.level);
+    let charEnd = next ? next.charStart : text.length;
+    while (charEnd > heading.charStart && /\s/.test(text[charEnd - 1])) charEnd--;
+
+    const section = {
+      title: heading.title,
+      level: heading.level,
+      charStart: heading.charStart,
+      charEnd,
+      children: []
+    };
+
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+    stack[stack.length - 1].children.push(section);
+    stack.push(section);
+  });
+
+  return root.children;
+}
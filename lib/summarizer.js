@@ -0,0 +1,297 @@
+// Summarization providers
+//
+// A provider is an object of the shape:
+//   {
+//     name: 'extractive',
+//     isAvailable: () => boolean,
+//     summarize: async (text, options) => ({ summary, content, ... })
+//   }
+// `options.style` selects the output shape (see summaryStyles.js); providers
+// return the structured `content` for that style and its text rendering.
+// `maxInputTokens` is the provider's context budget: longer texts are chunked
+// and summarized map-reduce style before the final summary is produced.
+// Providers are looked up by name so tests and self-hosted deployments can run
+// the local extractive provider while production uses an LLM-backed one.
+
+import { DEFAULT_STYLE, buildExtractiveStyle, describeStyle, normalizeStyle } from './summaryStyles.js';
+import { chunkText, estimateTokens } from './chunker.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+const DEFAULT_SENTENCE_COUNT = 5;
+const CHUNK_SUMMARY_SENTENCES = 6;
+const MAX_REDUCE_LEVELS = 5;
+
+// Describe the requested summary length for prompt-based providers
+function describeLength({ sentences, words, ratio }) {
+  if (words) return `at most ${words} words`;
+  if (ratio) return `roughly ${Math.round(ratio * 100)}% of the original length`;
+  return `at most ${sentences || DEFAULT_SENTENCE_COUNT} sentences`;
+}
+
+// Local extractive provider (no external calls)
+const extractiveProvider = {
+  name: 'extractive',
+  isAvailable: () => true,
+  maxInputTokens: Number(process.env.EXTRACTIVE_MAX_INPUT_TOKENS) || 8000,
+  concurrency: 1,
+  async summarize(text, options = {}) {
+    const result = buildExtractiveStyle(options.style, text, {
+      sentences: options.sentences,
+      words: options.words,
+      ratio: options.ratio
+    });
+
+    return {
+      summary: result.summary,
+      content: result.content,
+      sentences: result.sentences,
+      algorithm: result.algorithm
+    };
+  }
+};
+
+// LLM-backed provider using an OpenAI-compatible chat completions API
+const llmProvider = {
+  name: 'llm',
+  isAvailable: () => !!process.env.LLM_API_KEY,
+  maxInputTokens: Number(process.env.LLM_MAX_INPUT_TOKENS) || 12000,
+  concurrency: Number(process.env.LLM_CONCURRENCY) || 3,
+  async summarize(text, options = {}) {
+    const apiUrl = (process.env.LLM_API_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    const model = process.env.LLM_MODEL || 'gpt-4o-mini';
+
+    const response = await fetch(`${apiUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${process.env.LLM_API_KEY}`
+      },
+      body: JSON.stringify({
+        model,
+        temperature: 0.2,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: 'You summarize study notes accurately and concisely. Only use information present in the notes.'
+          },
+          {
+            role: 'user',
+            content: `Summarize the following notes in ${describeLength(options)}. ${describeStyle(options.style)}\n\n${text}`
+          }
+        ]
+      })
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error?.message || `LLM request failed with status ${response.status}`);
+    }
+
+    const message = data.choices?.[0]?.message?.content?.trim();
+    if (!message) {
+      throw new Error('LLM returned an empty summary');
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(message.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (parseError) {
+      throw new Error('LLM returned invalid JSON');
+    }
+
+    const { content, summary } = normalizeStyle(options.style, parsed);
+    if (!summary) {
+      throw new Error('LLM returned an empty summary');
+    }
+
+    return { summary, content, model };
+  }
+};
+
+const providers = new Map([
+  [extractiveProvider.name, extractiveProvider],
+  [llmProvider.name, llmProvider]
+]);
+
+// Register a custom summarization provider (e.g. a stub in tests)
+export function registerProvider(provider) {
+  if (!provider?.name || typeof provider.summarize !== 'function') {
+    throw new Error('Summarization provider must have a name and a summarize() function');
+  }
+  providers.set(provider.name, provider);
+}
+
+// Resolve a provider by name, falling back to the configured default
+export function getProvider(name) {
+  const providerName = name
+    || process.env.SUMMARY_PROVIDER
+    || (llmProvider.isAvailable() ? llmProvider.name : extractiveProvider.name);
+
+  const provider = providers.get(providerName);
+
+  if (!provider) {
+    throw new Error(`Unknown summarization provider: ${providerName}`);
+  }
+  if (provider.isAvailable && !provider.isAvailable()) {
+    throw new Error(`Summarization provider "${providerName}" is not configured`);
+  }
+
+  return provider;
+}
+
+export function listProviders() {
+  return [...providers.values()]
+    .filter(provider => !provider.isAvailable || provider.isAvailable())
+    .map(provider => provider.name);
+}
+
+// Map a span of the working text back to the original document. Spans only
+// map when they lie inside a sentence carried over verbatim from the source.
+function toOriginal(start, end, segments) {
+  if (!segments) {
+    return { start, end };
+  }
+
+  const segment = segments.find(candidate => start >= candidate.start && end <= candidate.end);
+  return segment ? { start: segment.originalStart, end: segment.originalEnd } : null;
+}
+
+// Join chunk summaries into the next level's input, tracking where extracted
+// sentences came from so final highlights still point into the original text
+function joinChunkSummaries(chunks, results, segments) {
+  let text = '';
+  const nextSegments = [];
+
+  chunks.forEach((chunk, i) => {
+    if (text) text += '\n\n';
+
+    const sentences = results[i].sentences
+      ? [...results[i].sentences].sort((a, b) => a.start - b.start)
+      : [];
+
+    if (sentences.length === 0) {
+      text += results[i].summary;
+      return;
+    }
+
+    sentences.forEach((sentence, j) => {
+      if (j > 0) text += ' ';
+
+      const original = toOriginal(chunk.charStart + sentence.start, chunk.charStart + sentence.end, segments);
+      if (original) {
+        nextSegments.push({
+          start: text.length,
+          end: text.length + sentence.text.length,
+          originalStart: original.start,
+          originalEnd: original.end
+        });
+      }
+
+      text += sentence.text;
+    });
+  });
+
+  return { text, segments: nextSegments };
+}
+
+// Summarize each chunk, then summarize the summaries until the text fits the
+// provider's budget. First-level chunk summaries are kept for drill-down.
+async function summarizeHierarchically(provider, text, options) {
+  const budget = provider.maxInputTokens;
+  let working = text;
+  let segments = null;
+  let chunks = [];
+  let levels = 0;
+
+  while (estimateTokens(working) > budget && levels < MAX_REDUCE_LEVELS) {
+    const levelChunks = chunkText(working, {
+      maxTokens: budget,
+      pages: levels === 0 ? options.pages : undefined
+    });
+
+    console.log(`🧩 Map-reduce level ${levels + 1}: summarizing ${levelChunks.length} chunks`);
+
+    const results = await mapWithConcurrency(levelChunks, provider.concurrency || 1, chunk =>
+      provider.summarize(chunk.text, { style: DEFAULT_STYLE, sentences: CHUNK_SUMMARY_SENTENCES })
+    );
+
+    if (levels === 0) {
+      chunks = levelChunks.map((chunk, i) => ({
+        index: chunk.index,
+        charStart: chunk.charStart,
+        charEnd: chunk.charEnd,
+        ...(chunk.pageStart !== undefined && { pageStart: chunk.pageStart, pageEnd: chunk.pageEnd }),
+        summary: results[i].summary
+      }));
+    }
+
+    const joined = joinChunkSummaries(levelChunks, results, segments);
+    levels++;
+
+    // Stop if summarizing no longer shrinks the text
+    if (joined.text.length >= working.length) {
+      working = joined.text;
+      segments = joined.segments;
+      break;
+    }
+
+    working = joined.text;
+    segments = joined.segments;
+  }
+
+  const result = await provider.summarize(working, options);
+
+  return {
+    ...result,
+    ...(result.sentences && {
+      sentences: result.sentences
+        .map(sentence => {
+          const original = toOriginal(sentence.start, sentence.end, segments);
+          return original && { ...sentence, start: original.start, end: original.end };
+        })
+        .filter(Boolean)
+    }),
+    chunks,
+    levels
+  };
+}
+
+// Main summarization function
+export async function summarize(text, options = {}) {
+  const provider = getProvider(options.provider);
+  const style = options.style || DEFAULT_STYLE;
+  const startedAt = Date.now();
+
+  console.log(`🔄 Summarizing ${text.length} characters as "${style}" with "${provider.name}" provider...`);
+
+  try {
+    const hierarchical = provider.maxInputTokens && estimateTokens(text) > provider.maxInputTokens;
+    const result = hierarchical
+      ? await summarizeHierarchically(provider, text, { ...options, style })
+      : await provider.summarize(text, { ...options, style });
+
+    if (!result.content) {
+      const error = new Error(`The "${provider.name}" provider does not support the "${style}" style`);
+      error.code = 'UNSUPPORTED_STYLE';
+      throw error;
+    }
+
+    console.log(`✅ Summary complete: ${result.summary.length} characters`);
+
+    return {
+      ...result,
+      style,
+      strategy: hierarchical ? 'map-reduce' : 'direct',
+      provider: provider.name,
+      sourceLength: text.length,
+      summaryLength: result.summary.length,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    console.error(`❌ Summarization failed (${provider.name}):`, error);
+    if (error.code) throw error;
+    throw new Error(`Summarization failed: ${error.message}`);
+  }
+}
@@ -0,0 +1,359 @@
+// Summary output styles
+//
+// Every style produces a structured JSON payload (`content`) plus a plain
+// text rendering (`summary`). Styles can be built locally from the extractive
+// engine, or described to an LLM as a JSON schema and normalized afterwards.
+
+import { summarizeExtractive, segmentSentences, extractKeywords } from './extractiveSummarizer.js';
+
+export const DEFAULT_STYLE = 'paragraph';
+
+const DEFAULT_BULLET_COUNT = 7;
+const DEFAULT_CARD_COUNT = 10;
+const TLDR_WORD_LIMIT = 60;
+const MAX_OUTLINE_SECTIONS = 6;
+const POINTS_PER_SECTION = 3;
+
+// Definitional sentence patterns used for flashcards and Q&A
+const DEFINITION_PATTERNS = [
+  /^(?:(?:an?|the)\s+)?([\p{L}\p{N}][\p{L}\p{N}\s()'-]{1,60}?)\s+(?:is|are)\s+(?:defined as\s+)?((?:a|an|the|one|any)\s+.{10,})$/iu,
+  /^(?:(?:an?|the)\s+)?([\p{L}\p{N}][\p{L}\p{N}\s()'-]{1,60}?)\s+(?:refers to|means|describes|is called|denotes)\s+(.{10,})$/iu,
+  /^([\p{L}\p{N}][^:]{1,60}):\s+(.{10,})$/u
+];
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function stripTerminalPunctuation(text) {
+  return text.replace(/[.!?;:,\s]+$/, '');
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+// Rank every usable sentence once so styles can pick from the top
+function rankSentences(text, limit) {
+  return summarizeExtractive(text, { sentences: limit });
+}
+
+// Match "X is a Y" style sentences into { term, definition }
+function matchDefinition(sentence) {
+  for (const pattern of DEFINITION_PATTERNS) {
+    const match = sentence.match(pattern);
+    if (!match) continue;
+
+    const term = match[1].trim();
+    if (countWords(term) > 6 || /^(it|this|that|these|those|there|they|he|she|we|you|i)$/i.test(term)) {
+      continue;
+    }
+
+    return {
+      term: capitalize(term),
+      definition: capitalize(stripTerminalPunctuation(match[2].trim())) + '.'
+    };
+  }
+
+  return null;
+}
+
+// Blank out the most important keyword appearing in a sentence
+function makeCloze(sentence, keywords, usedKeywords = new Set()) {
+  for (const { term, surface } of keywords) {
+    if (usedKeywords.has(term)) continue;
+
+    const pattern = new RegExp(`\\b${surface.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+    const match = sentence.match(pattern);
+    if (match) {
+      usedKeywords.add(term);
+      return {
+        prompt: sentence.replace(pattern, '_____'),
+        answer: match[0]
+      };
+    }
+  }
+  return null;
+}
+
+// Find heading-delimited sections ("# Title", "2.1 Title", "CHAPTER 3")
+function findSections(text) {
+  const headingPattern = /^[ \t]*(?:#{1,6}[ \t]+(.+)|((?:\d+(?:\.\d+)*\.?|[IVX]+\.|Chapter \d+|Section \d+)[ \t]+[^\n.!?]{2,80})|([A-Z][A-Z0-9 ,&'-]{3,80}))[ \t]*$/gm;
+  const headings = [];
+  let match;
+
+  while ((match = headingPattern.exec(text)) !== null) {
+    headings.push({
+      heading: stripTerminalPunctuation((match[1] || match[2] || match[3]).trim()),
+      start: match.index,
+      bodyStart: match.index + match[0].length
+    });
+  }
+
+  return headings
+    .map((heading, i) => ({
+      heading: heading.heading,
+      start: heading.bodyStart,
+      end: i + 1 < headings.length ? headings[i + 1].start : text.length
+    }))
+    .filter(section => countWords(text.slice(section.start, section.end)) >= 10);
+}
+
+// Fall back to evenly sized sentence groups titled by their top keywords
+function splitIntoSections(text) {
+  const sentences = segmentSentences(text);
+  const sectionCount = Math.min(MAX_OUTLINE_SECTIONS, Math.max(1, Math.ceil(sentences.length / 8)));
+  const perSection = Math.ceil(sentences.length / sectionCount);
+  const sections = [];
+
+  for (let i = 0; i < sentences.length; i += perSection) {
+    const group = sentences.slice(i, i + perSection);
+    const start = group[0].start;
+    const end = group[group.length - 1].end;
+    const keywords = extractKeywords(text.slice(start, end), { limit: 2 }).map(keyword => keyword.surface);
+
+    sections.push({
+      heading: keywords.length ? capitalize(keywords.join(' and ')) : `Part ${sections.length + 1}`,
+      start,
+      end
+    });
+  }
+
+  return sections;
+}
+
+const styles = {
+  paragraph: {
+    description: 'a single concise paragraph',
+    schema: '{ "text": string }',
+    buildExtractive(text, options) {
+      const result = summarizeExtractive(text, options);
+      return { content: { text: result.summary }, sentences: result.sentences, algorithm: result.algorithm };
+    },
+    normalize: content => ({ text: String(content.text || '').trim() }),
+    render: content => content.text
+  },
+
+  bullets: {
+    description: 'a list of short, self-contained bullet points covering the key ideas in order',
+    schema: '{ "bullets": string[] }',
+    buildExtractive(text, options) {
+      const result = summarizeExtractive(text, {
+        sentences: options.sentences || (!options.words && !options.ratio ? DEFAULT_BULLET_COUNT : undefined),
+        words: options.words,
+        ratio: options.ratio
+      });
+      const ordered = [...result.sentences].sort((a, b) => a.start - b.start);
+      return {
+        content: { bullets: ordered.map(sentence => sentence.text) },
+        sentences: result.sentences,
+        algorithm: result.algorithm
+      };
+    },
+    normalize: content => ({
+      bullets: (Array.isArray(content.bullets) ? content.bullets : [])
+        .map(bullet => String(bullet).trim())
+        .filter(Boolean)
+    }),
+    render: content => content.bullets.map(bullet => `• ${bullet}`).join('\n')
+  },
+
+  tldr: {
+    description: `a one or two sentence TL;DR of at most ${TLDR_WORD_LIMIT} words`,
+    schema: '{ "tldr": string }',
+    // Always one or two sentences
+    lengthOptions: [],
+    buildExtractive(text) {
+      let result = summarizeExtractive(text, { sentences: 2 });
+      if (countWords(result.summary) > TLDR_WORD_LIMIT) {
+        result = summarizeExtractive(text, { sentences: 1 });
+      }
+      return { content: { tldr: result.summary }, sentences: result.sentences, algorithm: result.algorithm };
+    },
+    normalize: content => ({ tldr: String(content.tldr || '').trim() }),
+    render: content => content.tldr
+  },
+
+  outline: {
+    description: 'a hierarchical outline of the main sections, each with a heading and a few key points',
+    schema: '{ "sections": [{ "heading": string, "points": string[] }] }',
+    // Sized by the document's sections
+    lengthOptions: [],
+    buildExtractive(text) {
+      const found = findSections(text);
+      const sections = (found.length >= 2 ? found : splitIntoSections(text)).slice(0, MAX_OUTLINE_SECTIONS * 2);
+      const sentences = [];
+      const algorithms = new Set();
+
+      const outline = sections
+        .map(section => {
+          const result = summarizeExtractive(text.slice(section.start, section.end), { sentences: POINTS_PER_SECTION });
+          algorithms.add(result.algorithm);
+          const points = result.sentences
+            .map(sentence => ({ ...sentence, start: sentence.start + section.start, end: sentence.end + section.start }))
+            .sort((a, b) => a.start - b.start);
+
+          sentences.push(...points);
+          return { heading: section.heading, points: points.map(point => point.text) };
+        })
+        .filter(section => section.points.length > 0);
+
+      // Report the centroid fallback if any section was too long for TextRank
+      return { content: { sections: outline }, sentences, algorithm: algorithms.has('tfidf') ? 'tfidf' : 'textrank' };
+    },
+    normalize: content => ({
+      sections: (Array.isArray(content.sections) ? content.sections : [])
+        .filter(section => section && section.heading)
+        .map(section => ({
+          heading: String(section.heading).trim(),
+          points: (Array.isArray(section.points) ? section.points : []).map(point => String(point).trim()).filter(Boolean)
+        }))
+    }),
+    render: content => content.sections
+      .map(section => [`## ${section.heading}`, ...section.points.map(point => `- ${point}`)].join('\n'))
+      .join('\n\n')
+  },
+
+  flashcards: {
+    description: 'study flashcards; the front is a term or question, the back is a concise answer',
+    schema: '{ "cards": [{ "front": string, "back": string }] }',
+    // The number of cards; a word count or ratio doesn't apply
+    lengthOptions: ['sentences'],
+    buildExtractive(text, options) {
+      const count = options.sentences || DEFAULT_CARD_COUNT;
+      const { sentences: ranked, algorithm } = rankSentences(text, count * 4);
+      const keywords = extractKeywords(text, { limit: 50 });
+      const cards = [];
+      const used = new Set();
+      const usedKeywords = new Set();
+
+      for (const sentence of ranked) {
+        const definition = matchDefinition(sentence.text);
+        if (definition && !used.has(definition.term.toLowerCase())) {
+          used.add(definition.term.toLowerCase());
+          cards.push({ front: definition.term, back: definition.definition, sentence });
+        }
+      }
+
+      // Top up with fill-in-the-blank cards from the most important sentences
+      for (const sentence of ranked) {
+        if (cards.length >= count) break;
+        if (cards.some(card => card.sentence === sentence)) continue;
+
+        const cloze = makeCloze(sentence.text, keywords, usedKeywords);
+        if (cloze) {
+          cards.push({ front: cloze.prompt, back: cloze.answer, sentence });
+        }
+      }
+
+      const selected = cards.slice(0, count);
+      return {
+        content: { cards: selected.map(({ front, back }) => ({ front, back })) },
+        sentences: selected.map(card => card.sentence),
+        algorithm
+      };
+    },
+    normalize: content => ({
+      cards: (Array.isArray(content.cards) ? content.cards : [])
+        .filter(card => card && card.front && card.back)
+        .map(card => ({ front: String(card.front).trim(), back: String(card.back).trim() }))
+    }),
+    render: content => content.cards.map(card => `Q: ${card.front}\nA: ${card.back}`).join('\n\n')
+  },
+
+  qa: {
+    description: 'question and answer pairs a student could use to test their understanding',
+    schema: '{ "questions": [{ "question": string, "answer": string }] }',
+    // The number of questions
+    lengthOptions: ['sentences'],
+    buildExtractive(text, options) {
+      const count = options.sentences || DEFAULT_CARD_COUNT;
+      const { sentences: ranked, algorithm } = rankSentences(text, count * 4);
+      const keywords = extractKeywords(text, { limit: 50 });
+      const usedKeywords = new Set();
+      const pairs = [];
+
+      for (const sentence of ranked) {
+        const definition = matchDefinition(sentence.text);
+        if (definition) {
+          const term = definition.term.charAt(0).toLowerCase() + definition.term.slice(1);
+          pairs.push({ question: `What is ${term}?`, answer: sentence.text, sentence });
+        }
+      }
+
+      // Top up with open questions about the sentence's key term
+      for (const sentence of ranked) {
+        if (pairs.length >= count) break;
+        if (pairs.some(pair => pair.sentence === sentence)) continue;
+
+        const cloze = makeCloze(sentence.text, keywords, usedKeywords);
+        if (cloze) {
+          pairs.push({ question: `What do the notes say about ${cloze.answer}?`, answer: sentence.text, sentence });
+        }
+      }
+
+      const selected = pairs.slice(0, count);
+      return {
+        content: { questions: selected.map(({ question, answer }) => ({ question, answer })) },
+        sentences: selected.map(pair => pair.sentence),
+        algorithm
+      };
+    },
+    normalize: content => ({
+      questions: (Array.isArray(content.questions) ? content.questions : [])
+        .filter(pair => pair && pair.question && pair.answer)
+        .map(pair => ({ question: String(pair.question).trim(), answer: String(pair.answer).trim() }))
+    }),
+    render: content => content.questions.map(pair => `Q: ${pair.question}\nA: ${pair.answer}`).join('\n\n')
+  }
+};
+
+export const STYLE_NAMES = Object.keys(styles);
+
+export function getStyle(name = DEFAULT_STYLE) {
+  const style = styles[name];
+  if (!style) {
+    throw new Error(`Unknown summary style: ${name}. Supported: ${STYLE_NAMES.join(', ')}`);
+  }
+  return style;
+}
+
+// Build a style locally from the extractive engine
+export function buildExtractiveStyle(name, text, options = {}) {
+  const style = getStyle(name);
+  const { content, sentences, algorithm } = style.buildExtractive(text, options);
+  return { content, summary: style.render(content), sentences, algorithm };
+}
+
+// Which of sentences/words/ratio a style takes; most take all three
+export function styleLengthOptions(name) {
+  return getStyle(name).lengthOptions || ['sentences', 'words', 'ratio'];
+}
+
+// Why the given length options don't suit a style, or null when they do.
+// Flashcards and Q&A are counted in items, not words; TL;DR and outline have
+// a length of their own
+export function unsupportedLengthOption(name, { sentences, words, ratio } = {}) {
+  const allowed = styleLengthOptions(name);
+  const unsupported = Object.entries({ sentences, words, ratio })
+    .find(([option, value]) => value !== undefined && !allowed.includes(option));
+  if (!unsupported) return null;
+
+  const alternative = allowed.length > 0
+    ? `Use ${allowed.map(option => `"${option}"`).join(' or ')}`
+    : 'Its length is fixed';
+  return `"${unsupported[0]}" is not supported for the "${name}" style. ${alternative}`;
+}
+
+// Instruction and JSON schema for prompt-based providers
+export function describeStyle(name) {
+  const style = getStyle(name);
+  return `Respond with ${style.description}, as a JSON object of the shape ${style.schema}. Respond with JSON only.`;
+}
+
+// Coerce provider output (e.g. parsed LLM JSON) into the style's shape
+export function normalizeStyle(name, content) {
+  const style = getStyle(name);
+  const normalized = style.normalize(content && typeof content === 'object' ? content : {});
+  return { content: normalized, summary: style.render(normalized) };
+}
@@ -0,0 +1,318 @@
+// Text-family uploads: plain text, Markdown, HTML and RTF
+//
+// Files are decoded with charset detection (BOM, UTF-16 byte patterns, strict
+// UTF-8, falling back to Windows-1252/Latin-1) and converted to plain text
+// that keeps document structure the rest of the pipeline understands:
+// Markdown `#` headings, `-` bullets and blank lines between paragraphs.
+
+export const TEXT_FORMATS = {
+  'text/plain': 'Text',
+  'text/markdown': 'Markdown',
+  'text/x-markdown': 'Markdown',
+  'text/html': 'HTML',
+  'application/xhtml+xml': 'HTML',
+  'application/rtf': 'RTF',
+  'text/rtf': 'RTF',
+  'application/x-rtf': 'RTF'
+};
+
+export const TEXT_MIMETYPES = Object.keys(TEXT_FORMATS);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', deg: '°', plusmn: '±', times: '×', divide: '÷',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', sect: '§', para: '¶',
+  frac12: '½', frac14: '¼', frac34: '¾', micro: 'µ', shy: ''
+};
+
+// Node decodes windows-1252 as Latin-1, leaving 0x80-0x9f (curly quotes,
+// dashes, the euro sign) as control characters; these are what they stand for
+const WINDOWS_1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+function tryDecode(buffer, encoding, fatal = false) {
+  try {
+    const decoder = new TextDecoder(encoding, { fatal });
+    const text = decoder.decode(buffer);
+    return decoder.encoding === 'windows-1252'
+      ? text.replace(/[\u0080-\u009f]/g, char => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80])
+      : text;
+  } catch {
+    return null;
+  }
+}
+
+// Share of zero bytes at even/odd offsets - UTF-16 text without a BOM has
+// one of the two bytes of most (ASCII-range) characters set to zero
+function looksLikeUtf16(buffer) {
+  const sample = buffer.subarray(0, 4096);
+  let evenZeros = 0;
+  let oddZeros = 0;
+
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+
+  const pairs = Math.floor(sample.length / 2) || 1;
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+}
+
+// Whether a buffer holds text rather than binary data: a UTF-16 byte order
+// mark or byte pattern, or (almost) no control characters other than
+// whitespace and no zero bytes
+export function looksLikeText(buffer) {
+  if ((buffer[0] === 0xff && buffer[1] === 0xfe) || (buffer[0] === 0xfe && buffer[1] === 0xff) || looksLikeUtf16(buffer)) {
+    return true;
+  }
+
+  const sample = buffer.subarray(0, 4096);
+  let controls = 0;
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d, 0x1b].includes(byte)) controls++;
+  }
+
+  return sample.length > 0 && controls / sample.length < 0.01;
+}
+
+// Decode a text file, returning the text and the charset that was used.
+// `declared` is a charset named by the file itself (e.g. an HTML <meta>).
+export function decodeText(buffer, declared = null) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: tryDecode(buffer.subarray(3), 'utf-8'), charset: 'utf-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: tryDecode(buffer.subarray(2), 'utf-16le'), charset: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: tryDecode(buffer.subarray(2), 'utf-16be'), charset: 'utf-16be' };
+  }
+
+  const utf16 = looksLikeUtf16(buffer);
+  if (utf16) {
+    return { text: tryDecode(buffer, utf16), charset: utf16 };
+  }
+
+  const utf8 = tryDecode(buffer, 'utf-8', true);
+  if (utf8 !== null) {
+    return { text: utf8, charset: 'utf-8' };
+  }
+
+  // Not valid UTF-8: trust a declared legacy charset, else assume Western European
+  const legacy = declared && !/^utf-?8$/i.test(declared) ? tryDecode(buffer, declared) : null;
+  if (legacy !== null) {
+    return { text: legacy, charset: declared.toLowerCase() };
+  }
+
+  return { text: tryDecode(buffer, 'windows-1252'), charset: 'windows-1252' };
+}
+
+export function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+// Strip HTML to readable text: headings become Markdown `#` headings, list
+// items `-` bullets, table cells are separated by ` | `, and block elements
+// end up on their own lines
+export function htmlToText(html) {
+  const inline = text => decodeHtmlEntities(text.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+
+  return decodeHtmlEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|noscript|template|head|svg|iframe)\b[\s\S]*?<\/\1\s*>/gi, '')
+      .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (match, level, content) => {
+        const heading = inline(content);
+        // Escape the markup-significant characters again for the final decode
+        return heading ? `\n\n${'#'.repeat(Number(level))} ${heading.replace(/&/g, '&amp;').replace(/</g, '&lt;')}\n\n` : '\n\n';
+      })
+      .replace(/<li\b[^>]*>/gi, '\n- ')
+      .replace(/<\/t[dh]\s*>\s*(?=<t[dh]\b)/gi, ' | ')
+      .replace(/<br\s*\/?>|<\/tr\s*>/gi, '\n')
+      .replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|blockquote|pre|ul|ol|dl|dt|dd|table|thead|tbody|figure|figcaption|hr|address)\b[^>]*>/gi, '\n\n')
+      .replace(/<[^>]*>/g, '')
+  )
+    .replace(/\u00a0/g, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n(?:- *\n)+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Light Markdown cleanup: keep headings, lists and paragraphs, drop front
+// matter, HTML comments, image syntax and link targets
+export function cleanMarkdown(markdown) {
+  return markdown
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^[ \t]*\[[^\]]+\]:[ \t]+\S+.*$/gm, '');
+}
+
+// RTF groups whose content is never document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'fldinst', 'themedata', 'colorschememapping', 'latentstyles',
+  'datastore', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl', 'mmathpr', 'filetbl',
+  'revtbl', 'pgdsctbl', 'bkmkstart', 'bkmkend', 'wgrffmtfilter', 'xe', 'tc', 'txe'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n', sect: '\n\n', page: '\n\n', line: '\n', row: '\n', cell: ' | ', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' '
+};
+
+// Remove RTF control words and groups, keeping the document text. Handles
+// \'hh escapes in the document code page and \uN Unicode escapes.
+export function rtfToText(rtf) {
+  const codePageMatch = rtf.match(/\\ansicpg(\d+)/);
+  const codePage = codePageMatch && tryDecode(new Uint8Array([0x41]), `windows-${codePageMatch[1]}`)
+    ? `windows-${codePageMatch[1]}`
+    : 'windows-1252';
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1;
+  let pendingFallback = 0;
+  let bytes = [];
+  let output = '';
+
+  const flushBytes = () => {
+    if (bytes.length) {
+      output += tryDecode(new Uint8Array(bytes), codePage) || '';
+      bytes = [];
+    }
+  };
+  const emit = text => {
+    flushBytes();
+    if (!skip) output += text;
+  };
+
+  const token = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|\r?\n|([^\\{}\r\n]+)/gi;
+  let match;
+
+  while ((match = token.exec(rtf)) !== null) {
+    const [, word, param, hex, symbol, brace, text] = match;
+
+    // Characters standing in for the previous \uN in non-Unicode readers
+    if (pendingFallback > 0 && (hex || text)) {
+      if (hex) {
+        pendingFallback--;
+        continue;
+      }
+      const dropped = text.slice(0, pendingFallback);
+      pendingFallback -= dropped.length;
+      if (text.length === dropped.length) continue;
+      emit(text.slice(dropped.length));
+      continue;
+    }
+    pendingFallback = 0;
+
+    if (brace === '{') {
+      stack.push({ skip, unicodeSkip });
+    } else if (brace === '}') {
+      flushBytes();
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+    } else if (word) {
+      const name = word.toLowerCase();
+      if (RTF_SKIPPED_DESTINATIONS.has(name)) {
+        flushBytes();
+        skip = true;
+      } else if (name === 'uc') {
+        unicodeSkip = Number(param) || 0;
+      } else if (name === 'u') {
+        let code = Number(param);
+        if (code < 0) code += 65536;
+        emit(String.fromCharCode(code));
+        pendingFallback = unicodeSkip;
+      } else if (RTF_SYMBOLS[name] !== undefined) {
+        emit(RTF_SYMBOLS[name]);
+      }
+    } else if (hex) {
+      if (!skip) bytes.push(parseInt(hex, 16));
+    } else if (symbol) {
+      if (symbol === '*') {
+        // {\* ...} marks an optional destination this reader doesn't know
+        skip = true;
+      } else if (symbol === '~') {
+        emit(' ');
+      } else if (symbol === '_') {
+        emit('-');
+      } else if (symbol === '\\' || symbol === '{' || symbol === '}') {
+        emit(symbol);
+      } else if (symbol === '\n' || symbol === '\r') {
+        emit('\n');
+      }
+    } else if (text) {
+      emit(text);
+    }
+  }
+
+  flushBytes();
+  return output
+    .replace(/[ \t]*\|[ \t]*\n/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Extract text from a text-family upload
+export function extractTextFromTextFile(buffer, mimetype) {
+  const format = TEXT_FORMATS[mimetype];
+  if (!format) {
+    throw new Error(`Unsupported text format: ${mimetype}`);
+  }
+
+  try {
+    console.log(`🔄 Starting ${format} text extraction...`);
+
+    // HTML may name its charset; only consulted when the bytes aren't UTF-8
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const declared = format === 'HTML'
+      ? head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1] || null
+      : null;
+
+    const { text: decoded, charset } = decodeText(buffer, declared);
+    if (decoded === null) {
+      throw new Error(`Could not decode the file as ${charset}`);
+    }
+
+    let text;
+    if (format === 'HTML') {
+      text = htmlToText(decoded);
+    } else if (format === 'RTF') {
+      if (!decoded.trimStart().startsWith('{\\rtf')) {
+        throw new Error('Invalid RTF file: missing {\\rtf header');
+      }
+      text = rtfToText(decoded);
+    } else if (format === 'Markdown') {
+      text = cleanMarkdown(decoded);
+    } else {
+      text = decoded;
+    }
+
+    if (!text || text.trim().length < 10) {
+      throw new Error(`No readable text found in ${format} file. The document may be empty.`);
+    }
+
+    console.log(`✅ ${format} extraction complete: ${text.length} characters (${charset})`);
+    return { text, format, charset };
+
+  } catch (error) {
+    console.error(`❌ ${format} extraction failed:`, error);
+    throw new Error(`${format} processing failed: ${error.message}`);
+  }
+}
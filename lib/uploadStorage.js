@@ -0,0 +1,37 @@
+// Files too large to embed in a job document (resumable uploads), kept in
+// GridFS from the moment they're assembled until their job has finished
+
+import { ObjectId } from 'mongodb';
+import { pipeline } from 'stream/promises';
+import { Readable } from 'stream';
+import { getUploadFilesBucket } from './db.js';
+
+// Write buffers from an (async) iterable to a new file. Returns its id
+export async function storeUploadFile(filename, chunks, metadata = {}) {
+  const bucket = await getUploadFilesBucket();
+  const upload = bucket.openUploadStream(filename, { metadata });
+
+  await pipeline(Readable.from(chunks), upload);
+  return upload.id.toString();
+}
+
+export async function readUploadFile(id) {
+  const bucket = await getUploadFilesBucket();
+  const chunks = [];
+
+  for await (const chunk of bucket.openDownloadStream(new ObjectId(id))) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Remove a file; already-deleted files are fine
+export async function deleteUploadFile(id) {
+  const bucket = await getUploadFilesBucket();
+
+  try {
+    await bucket.delete(new ObjectId(id));
+  } catch (error) {
+    if (!/File not found/i.test(error.message)) throw error;
+  }
+}
@@ -0,0 +1,347 @@
+// Resumable uploads, following the tus protocol (1.0.0, with the creation,
+// termination and expiration extensions - see https://tus.io/protocols/resumable-upload)
+//
+// Files past the 10MB multipart limit - textbooks, long scans - are sent in
+// pieces: POST creates an upload of a given length, PATCH requests append
+// bytes at the current offset, and HEAD reports how much has arrived, so an
+// interrupted upload carries on where it stopped. Received bytes are kept in
+// the `uploadParts` collection in parts small enough for a Mongo document;
+// once the last byte arrives they're assembled into a GridFS file and queued
+// as an extraction job.
+
+import { randomUUID } from 'crypto';
+import { getUploadPartsCollection, getUploadsCollection } from './db.js';
+import { OCTET_STREAM, createProcessingError, validateFile } from './fileProcessor.js';
+import { parseUploadOptions } from './extractions.js';
+import { createJob, ensureJobWorker } from './jobs.js';
+import { deleteUploadFile, storeUploadFile } from './uploadStorage.js';
+
+export const TUS_VERSION = '1.0.0';
+export const TUS_EXTENSIONS = ['creation', 'termination', 'expiration'];
+
+const MB = 1024 * 1024;
+
+// Largest file each role may upload; guests keep the multipart limit
+export const UPLOAD_MAX_SIZES = {
+  guest: (Number(process.env.UPLOAD_MAX_MB_GUEST) || 10) * MB,
+  user: (Number(process.env.UPLOAD_MAX_MB_USER) || 100) * MB
+};
+
+// Unfinished uploads are discarded after this long
+const UPLOAD_EXPIRY_HOURS = Number(process.env.UPLOAD_EXPIRY_HOURS) || 24;
+// Well under Mongo's 16MB document limit
+const UPLOAD_PART_SIZE = 4 * MB;
+// Each PATCH stores at least one part, listed on the upload; past this many
+// the client is sending pieces far too small
+const MAX_UPLOAD_PARTS = 10000;
+// An upload assembling for longer than this was left by a stopped server and
+// may be taken over
+const UPLOAD_ASSEMBLY_TIMEOUT_MS = 10 * 60 * 1000;
+
+let indexesReady = null;
+
+// Upload sessions and their parts expire on their own
+async function uploadCollections() {
+  const uploads = await getUploadsCollection();
+  const parts = await getUploadPartsCollection();
+
+  indexesReady = indexesReady || Promise.all([
+    uploads.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+    parts.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+    parts.createIndex({ uploadId: 1, offset: 1 })
+  ]).catch(error => {
+    indexesReady = null;
+    throw error;
+  });
+  await indexesReady;
+
+  return { uploads, parts };
+}
+
+export function maxUploadSize(user) {
+  return user?.role === 'user' ? UPLOAD_MAX_SIZES.user : UPLOAD_MAX_SIZES.guest;
+}
+
+// Middleware for the tus routes. Every response names the protocol version,
+// and OPTIONS - answered by the CORS middleware - the server's capabilities;
+// the limit given is the signed-in one, guests are held to theirs on POST.
+// Requests for another protocol version are refused
+export function tusHeaders(req, res, next) {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    res.setHeader('Tus-Extension', TUS_EXTENSIONS.join(','));
+    res.setHeader('Tus-Max-Size', UPLOAD_MAX_SIZES.user);
+  } else if (req.headers['tus-resumable'] && req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: `Unsupported tus version. Use ${TUS_VERSION}.` });
+  }
+
+  next();
+}
+
+// Same ownership rule as jobs: the user, the guest session, or whoever holds
+// the (random) id of an upload made without a token
+function uploadOwner(user) {
+  return user?.userId || user?.sessionId || null;
+}
+
+// Upload-Metadata: comma-separated "key base64(value)" pairs, value optional
+export function parseUploadMetadata(header) {
+  const metadata = {};
+
+  for (const pair of String(header || '').split(',')) {
+    const [key, value = ''] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+    }
+  }
+
+  return metadata;
+}
+
+// Start an upload of `length` bytes. Metadata carries the file's name and
+// type (`filename`/`name`, `filetype`/`type`) and the /api/upload options.
+// Throws coded errors for a missing length, a file over the role's limit or
+// invalid options
+export async function createUpload({ user, length, metadata = {} }) {
+  const size = Number(length);
+  if (length === undefined || length === '' || !Number.isSafeInteger(size) || size <= 0) {
+    throw createProcessingError('Upload-Length must be the file size in bytes.', 'INVALID_UPLOAD_LENGTH');
+  }
+
+  const maxSize = maxUploadSize(user);
+  if (size > maxSize) {
+    throw createProcessingError(
+      `File size (${(size / MB).toFixed(2)}MB) exceeds the ${Math.round(maxSize / MB)}MB limit${user?.role === 'user' ? '' : ' for guests - sign in to upload larger files'}.`,
+      'UPLOAD_TOO_LARGE'
+    );
+  }
+
+  const file = {
+    originalname: metadata.filename || metadata.name,
+    mimetype: (metadata.filetype || metadata.type || OCTET_STREAM).toLowerCase(),
+    size
+  };
+
+  // Reject unsupported types and bad names before any bytes are sent
+  const validationErrors = validateFile(file, { maxSize });
+  if (validationErrors.length > 0) {
+    throw createProcessingError(`File validation failed: ${validationErrors.join(', ')}`, 'INVALID_FILE');
+  }
+
+  const options = parseUploadOptions(metadata);
+  const { uploads } = await uploadCollections();
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000);
+  const id = randomUUID();
+
+  await uploads.insertOne({
+    _id: id,
+    state: 'uploading',
+    owner: uploadOwner(user),
+    user: user ? { userId: user.userId, role: user.role, sessionId: user.sessionId } : null,
+    ...file,
+    length: size,
+    offset: 0,
+    partIds: [],
+    options,
+    createdAt: now,
+    updatedAt: now,
+    expiresAt
+  });
+
+  console.log(`📤 Upload ${id} started: ${file.originalname} (${(size / MB).toFixed(2)}MB)`);
+  return { id, length: size, offset: 0, expiresAt };
+}
+
+// An upload, or null when it doesn't exist, has expired or belongs to someone else
+export async function getUpload(id, user) {
+  const { uploads } = await uploadCollections();
+  const upload = await uploads.findOne({ _id: String(id) });
+
+  if (!upload || upload.expiresAt < new Date() || (upload.owner && upload.owner !== uploadOwner(user))) {
+    return null;
+  }
+  return upload;
+}
+
+// Store one part and move the upload's offset past it. Each write is its own
+// part, recorded on the upload only if the offset still is where this request
+// started - a concurrent PATCH that loses removes its part, and one orphaned
+// by a crash in between is never read and expires with the upload.
+// `collections` stands in for the database ones in tests
+export async function writePart(upload, offset, data, collections) {
+  const { uploads, parts } = collections || await uploadCollections();
+  const partId = randomUUID();
+  await parts.insertOne({ _id: partId, uploadId: upload._id, offset, data, expiresAt: upload.expiresAt });
+
+  const { matchedCount } = await uploads.updateOne(
+    { _id: upload._id, state: 'uploading', offset },
+    { $set: { offset: offset + data.length, updatedAt: new Date() }, $push: { partIds: partId } }
+  );
+  if (matchedCount === 0) {
+    await parts.deleteOne({ _id: partId });
+    throw createProcessingError('The upload was modified by another request.', 'UPLOAD_OFFSET_MISMATCH');
+  }
+
+  return offset + data.length;
+}
+
+// Append the bytes of a PATCH request body, starting at `offset`. Bytes are
+// stored as they arrive, so a dropped connection keeps what got through.
+// Returns the new offset
+export async function appendToUpload(upload, offset, body) {
+  // A fully received upload still assembling takes the empty PATCH that retries it
+  const retrying = upload.state === 'assembling' && upload.offset === upload.length;
+  if (upload.state !== 'uploading' && !retrying) {
+    throw createProcessingError('This upload is already complete.', 'UPLOAD_COMPLETE');
+  }
+  if (Number(offset) !== upload.offset) {
+    throw createProcessingError(
+      `Upload-Offset ${offset} does not match the ${upload.offset} bytes received so far.`,
+      'UPLOAD_OFFSET_MISMATCH'
+    );
+  }
+
+  let current = upload.offset;
+  let partCount = upload.partIds?.length || 0;
+  let pending = [];
+  let pendingLength = 0;
+
+  const flush = async () => {
+    if (pendingLength === 0) return;
+    if (partCount >= MAX_UPLOAD_PARTS) {
+      throw createProcessingError(
+        `This upload was sent in more than ${MAX_UPLOAD_PARTS} pieces. Start a new upload and send larger PATCH requests.`,
+        'UPLOAD_TOO_MANY_PARTS'
+      );
+    }
+    partCount++;
+    const data = Buffer.concat(pending, pendingLength);
+    pending = [];
+    pendingLength = 0;
+    current = await writePart(upload, current, data);
+  };
+
+  try {
+    for await (const chunk of body) {
+      if (current + pendingLength + chunk.length > upload.length) {
+        throw createProcessingError('The request body goes past Upload-Length.', 'UPLOAD_LENGTH_EXCEEDED');
+      }
+
+      pending.push(chunk);
+      pendingLength += chunk.length;
+      if (pendingLength >= UPLOAD_PART_SIZE) {
+        await flush();
+      }
+    }
+  } catch (error) {
+    // Keep what arrived before the connection dropped; the client resumes from there
+    if (error.code !== 'UPLOAD_LENGTH_EXCEEDED' && error.code !== 'UPLOAD_TOO_MANY_PARTS') {
+      await flush();
+    }
+    throw error;
+  }
+
+  await flush();
+  return current;
+}
+
+// The parts recorded on an upload, in order
+async function* readParts(upload) {
+  const { parts } = await uploadCollections();
+  const cursor = parts.find({ _id: { $in: upload.partIds || [] } }).sort({ offset: 1 });
+
+  for await (const part of cursor) {
+    yield Buffer.from(part.data.buffer);
+  }
+}
+
+// Assemble a fully received upload and queue it for extraction. Returns the
+// job id; an upload that was already completed returns its existing job, and
+// one still being assembled null
+export async function completeUpload(upload) {
+  const { uploads, parts } = await uploadCollections();
+
+  // Only one request gets to assemble the file, unless the one that started
+  // has been at it too long to still be running
+  const claimed = await uploads.findOneAndUpdate(
+    {
+      _id: upload._id,
+      offset: upload.length,
+      $or: [
+        { state: 'uploading' },
+        { state: 'assembling', updatedAt: { $lt: new Date(Date.now() - UPLOAD_ASSEMBLY_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { state: 'assembling', updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) {
+    return (await uploads.findOne({ _id: upload._id }))?.jobId || null;
+  }
+
+  // The job shares the upload's id, so a takeover can't queue the file twice
+  const jobId = upload._id;
+  let storageId = null;
+  try {
+    storageId = await storeUploadFile(upload.originalname, readParts(claimed), { uploadId: upload._id });
+    await createJob(
+      { storageId, originalname: upload.originalname, mimetype: upload.mimetype, size: upload.length },
+      { user: upload.user, options: claimed.options, id: jobId }
+    );
+  } catch (error) {
+    if (storageId) {
+      await deleteUploadFile(storageId).catch(() => {});
+    }
+    // Duplicate key: queued before the server stopped, with its own copy of the file
+    if (error.code !== 11000) {
+      // Hand the upload back, so an empty PATCH at the final offset tries again
+      await uploads.updateOne({ _id: upload._id }, { $set: { state: 'uploading', updatedAt: new Date() } });
+      throw error;
+    }
+  }
+
+  // Queued and complete in one update. Options may hold a PDF password - the
+  // job has its own copy now
+  await uploads.updateOne(
+    { _id: upload._id },
+    { $set: { state: 'complete', jobId, updatedAt: new Date() }, $unset: { options: '' } }
+  );
+
+  await parts.deleteMany({ uploadId: upload._id });
+  ensureJobWorker();
+
+  console.log(`✅ Upload ${upload._id} complete, queued as job ${jobId}`);
+  return jobId;
+}
+
+// Discard an upload and the bytes received so far
+export async function deleteUpload(upload) {
+  const { uploads, parts } = await uploadCollections();
+
+  await parts.deleteMany({ uploadId: upload._id });
+  await uploads.deleteOne({ _id: upload._id });
+}
+
+// HTTP status and error body for a failed upload request
+export function describeUploadError(error) {
+  const statuses = {
+    INVALID_UPLOAD_LENGTH: 400,
+    INVALID_FILE: 400,
+    INVALID_OCR_LANGUAGES: 400,
+    INVALID_PREPROCESS_STEPS: 400,
+    UPLOAD_LENGTH_EXCEEDED: 400,
+    UPLOAD_OFFSET_MISMATCH: 409,
+    UPLOAD_COMPLETE: 409,
+    UPLOAD_TOO_LARGE: 413,
+    UPLOAD_TOO_MANY_PARTS: 413
+  };
+
+  if (statuses[error.code]) {
+    return { status: statuses[error.code], body: { error: error.message, code: error.code } };
+  }
+  return { status: 500, body: { error: 'Upload failed. Please try again.' } };
+}
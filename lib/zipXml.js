@@ -0,0 +1,138 @@
+// Helpers for zip+XML document formats (PPTX, DOCX, ODT, EPUB)
+//
+// A small upload can inflate to gigabytes (a zip bomb), so archives are
+// opened with openZip, which refuses those whose entries claim more than
+// MAX_UNPACKED_SIZE in total, and entries are read with readZipText, which
+// streams and stops once the archive's budget is spent - entry headers can
+// lie about their size. Libraries that unpack a whole file themselves get
+// it through repackZip instead of the upload.
+
+import JSZip from 'jszip';
+import { DOMParser } from '@xmldom/xmldom';
+import { posix } from 'path';
+
+const MB = 1024 * 1024;
+
+// Uncompressed bytes allowed per archive, declared and actually read
+const MAX_UNPACKED_SIZE = (Number(process.env.ZIP_MAX_UNPACKED_MB) || 200) * MB;
+
+// Bytes left to read from each archive opened here
+const budgets = new WeakMap();
+
+function tooLargeError(maxSize) {
+  const error = new Error(`File exceeds the ${Math.round(maxSize / MB)}MB limit once unpacked`);
+  error.code = 'FILE_TOO_LARGE';
+  return error;
+}
+
+// Load an archive, refusing it when its entries add up to more than the budget
+export async function openZip(buffer, { maxSize = MAX_UNPACKED_SIZE } = {}) {
+  const zip = await JSZip.loadAsync(buffer);
+  const declared = Object.values(zip.files)
+    .reduce((sum, entry) => sum + (entry._data?.uncompressedSize || 0), 0);
+
+  if (declared > maxSize) {
+    throw tooLargeError(maxSize);
+  }
+
+  budgets.set(zip, maxSize);
+  return zip;
+}
+
+// Decompress an entry, giving up as soon as it grows past maxSize
+export function readZipEntry(entry, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.nodeStream('nodebuffer');
+
+    stream.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxSize) {
+        stream.destroy();
+        reject(tooLargeError(maxSize));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// Element children, optionally filtered by local name (namespace prefix ignored)
+export function childElements(node, localName) {
+  return Array.from(node.childNodes || []).filter(child =>
+    child.nodeType === 1 && (!localName || child.localName === localName)
+  );
+}
+
+// All descendant elements with a local name, in document order
+export function descendants(node, localName) {
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+export function parseXml(xml) {
+  return new DOMParser({ onError: () => {} }).parseFromString(xml, 'application/xml');
+}
+
+// Decompress an entry within what's left of the archive's budget
+async function readBudgeted(zip, file, maxSize) {
+  const budget = budgets.get(zip) ?? MAX_UNPACKED_SIZE;
+  const data = await readZipEntry(file, Math.min(budget, maxSize));
+  budgets.set(zip, budget - data.length);
+  return data;
+}
+
+// An entry as UTF-8 text, or null when it's missing. Counts against the
+// archive's budget; `maxSize` caps this one read further
+export async function readZipText(zip, path, { maxSize = Infinity } = {}) {
+  const file = zip.file(path);
+  if (!file) return null;
+
+  return (await readBudgeted(zip, file, maxSize)).toString('utf8');
+}
+
+// The archive rebuilt from entries read within its budget and stored
+// uncompressed, so whatever unpacks it next gets exactly those bytes
+export async function repackZip(zip) {
+  const repacked = new JSZip();
+
+  for (const file of Object.values(zip.files)) {
+    if (!file.dir) {
+      repacked.file(file.name, await readBudgeted(zip, file, Infinity));
+    }
+  }
+
+  return repacked.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+}
+
+export async function readZipXml(zip, path) {
+  const xml = await readZipText(zip, path);
+  return xml === null ? null : parseXml(xml);
+}
+
+// Resolve a relative reference (href, Target) against the part it appears in
+export function resolveZipPath(fromPath, target) {
+  const path = decodeURIComponent(target.split('#')[0]);
+  return path.startsWith('/')
+    ? path.slice(1)
+    : posix.normalize(posix.join(posix.dirname(fromPath), path));
+}
+
+// Relationship id -> { type, path } from an OOXML part's .rels file
+export async function readRelationships(zip, partPath) {
+  const relsPath = posix.join(posix.dirname(partPath), '_rels', `${posix.basename(partPath)}.rels`);
+  const rels = await readZipXml(zip, relsPath);
+  const relationships = new Map();
+
+  for (const rel of rels ? descendants(rels, 'Relationship') : []) {
+    if (rel.getAttribute('TargetMode') === 'External') continue;
+    relationships.set(rel.getAttribute('Id'), {
+      type: rel.getAttribute('Type'),
+      path: resolveZipPath(partPath, rel.getAttribute('Target'))
+    });
+  }
+
+  return relationships;
+}
@@ -1,12 +1,13 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   experimental: {
-    serverComponentsExternalPackages: ['tesseract.js', 'pdfjs-dist']
+    serverComponentsExternalPackages: ['tesseract.js', 'pdfjs-dist', '@napi-rs/canvas']
   },
   webpack: (config, { isServer }) => {
     if (isServer) {
       config.externals.push({
         'canvas': 'canvas',
+        '@napi-rs/canvas': '@napi-rs/canvas',
         'sharp': 'sharp'
       });
     }
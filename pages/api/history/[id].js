@@ -2,6 +2,7 @@ import nc from 'next-connect';
 import { ObjectId } from 'mongodb';
 import { requireAuth } from '../../../lib/auth.js';
 import { getExtractionsCollection } from '../../../lib/db.js';
+import { withPageText } from '../../../lib/extractions.js';
 import cors, { runMiddleware } from '../../../lib/cors.js';
 
 const handler = nc({
@@ -49,8 +50,27 @@ handler.get(async (req, res) => {
       mimetype: extraction.mimetype,
       fileSize: extraction.fileSize,
       extractedText: extraction.extractedText,
+      pages: extraction.pages ? withPageText(extraction.pages, extraction.extractedText) : null,
+      pageCount: extraction.pageCount || null,
+      slides: extraction.slides || null,
+      sections: extraction.sections || null,
+      tables: extraction.tables || null,
+      tableCount: extraction.tableCount || 0,
+      document: extraction.document || null,
+      language: extraction.language || null,
+      batchId: extraction.batchId || null,
+      archive: extraction.archive || null,
+      archivePath: extraction.archivePath || null,
+      ocrPages: extraction.ocrPages || null,
+      ocrConfidence: extraction.ocrConfidence ?? null,
+      ocr: extraction.ocr || null,
+      preprocessing: extraction.preprocessing || null,
+      imageOcr: extraction.imageOcr || null,
+      ocrLanguages: extraction.ocrLanguages || null,
+      detectedScript: extraction.detectedScript || null,
       extractedLength: extraction.extractedLength,
       wordCount: extraction.wordCount,
+      summary: extraction.summary || null,
       createdAt: extraction.createdAt
     });
 
@@ -0,0 +1,83 @@
+import nc from 'next-connect';
+import { ObjectId } from 'mongodb';
+import { requireAuth } from '../../../../lib/auth.js';
+import { getExtractionsCollection } from '../../../../lib/db.js';
+import { tablesToCsv } from '../../../../lib/csv.js';
+import cors, { runMiddleware } from '../../../../lib/cors.js';
+
+const handler = nc({
+  onError: (err, req, res, next) => {
+    console.error('History tables API error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  },
+  onNoMatch: (req, res) => {
+    res.status(405).json({ error: 'Method not allowed' });
+  },
+});
+
+// Apply CORS
+handler.use(async (req, res, next) => {
+  await runMiddleware(req, res, cors);
+  next();
+});
+
+// Require authentication
+handler.use(requireAuth);
+
+// GET /api/history/[id]/tables - Download extracted tables
+// Query: format=csv (default) or json, table=<1-based index> for a single table
+handler.get(async (req, res) => {
+  try {
+    const { id, format = 'csv', table } = req.query;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ error: 'Invalid extraction ID' });
+    }
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format. Use "csv" or "json".' });
+    }
+
+    const extractions = await getExtractionsCollection();
+    const extraction = await extractions.findOne(
+      { _id: new ObjectId(id), userId: req.user.userId },
+      { projection: { filename: 1, tables: 1 } }
+    );
+
+    if (!extraction) {
+      return res.status(404).json({ error: 'Extraction not found' });
+    }
+
+    let tables = extraction.tables || [];
+
+    if (table !== undefined) {
+      const index = Number(table);
+      if (!Number.isInteger(index) || index < 1 || index > tables.length) {
+        return res.status(404).json({ error: `Table ${table} not found (${tables.length} tables extracted)` });
+      }
+      tables = [tables[index - 1]];
+    }
+
+    if (tables.length === 0) {
+      return res.status(404).json({ error: 'No tables were found in this document' });
+    }
+
+    if (format === 'json') {
+      return res.status(200).json({ tables });
+    }
+
+    const basename = (extraction.filename || 'document').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+    const filename = table !== undefined ? `${basename}-table-${table}.csv` : `${basename}-tables.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    // Byte order mark so spreadsheet apps read the file as UTF-8
+    res.status(200).send(`\ufeff${tablesToCsv(tables)}`);
+
+  } catch (error) {
+    console.error('Failed to export tables:', error);
+    res.status(500).json({ error: 'Failed to export tables' });
+  }
+});
+
+export default handler;
@@ -22,16 +22,39 @@ handler.use(async (req, res, next) => {
 // Require authentication for all history endpoints
 handler.use(requireAuth);
 
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 // GET /api/history - Get user's extraction history
 handler.get(async (req, res) => {
   try {
-    const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+    const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc', author, language, batchId } = req.query;
+    
+    if (language && !/^[a-z]{3}$/i.test(language)) {
+      return res.status(400).json({ error: 'Invalid language. Use an ISO 639-3 code such as "eng" or "deu".' });
+    }
     
     const extractions = await getExtractionsCollection();
     
     // Build query
     const query = { userId: req.user.userId };
     
+    // Author is matched case-insensitively anywhere in the document's author field
+    if (author) {
+      query['document.author'] = { $regex: escapeRegex(String(author)), $options: 'i' };
+    }
+    
+    // Language detected from the extracted text
+    if (language) {
+      query.language = language.toLowerCase();
+    }
+    
+    // Files uploaded together through /api/upload/batch
+    if (batchId) {
+      query.batchId = String(batchId);
+    }
+    
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
@@ -55,9 +78,17 @@ handler.get(async (req, res) => {
       fileSize: doc.fileSize,
       extractedLength: doc.extractedLength,
       wordCount: doc.wordCount,
+      pageCount: doc.pageCount || null,
+      tableCount: doc.tableCount || 0,
+      title: doc.document?.title || null,
+      author: doc.document?.author || null,
+      language: doc.language || null,
+      batchId: doc.batchId || null,
       createdAt: doc.createdAt,
       // Don't return full extracted text in list view for performance
-      hasText: !!doc.extractedText
+      hasText: !!doc.extractedText,
+      hasSummary: !!doc.summary,
+      summaryStyle: doc.summary?.style || null
     }));
     
     res.status(200).json({
@@ -0,0 +1,47 @@
+import nc from 'next-connect';
+import { allowGuest } from '../../../lib/auth.js';
+import { ensureJobWorker, getJob } from '../../../lib/jobs.js';
+import cors, { runMiddleware } from '../../../lib/cors.js';
+
+const handler = nc({
+  onError: (err, req, res, next) => {
+    console.error('Jobs API error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  },
+  onNoMatch: (req, res) => {
+    res.status(405).json({ error: 'Method not allowed' });
+  },
+});
+
+// Apply CORS
+handler.use(async (req, res, next) => {
+  await runMiddleware(req, res, cors);
+  next();
+});
+
+// Jobs belong to whoever uploaded the file, signed in or guest
+handler.use(allowGuest);
+
+// GET /api/jobs/[id] - Job state, progress and outcome
+handler.get(async (req, res) => {
+  try {
+    // Jobs queued before a restart resume once anyone polls
+    ensureJobWorker();
+
+    const job = await getJob(req.query.id, req.user);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Poll again while the job is still queued or running
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json(job);
+
+  } catch (error) {
+    console.error('Failed to fetch job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+export default handler;
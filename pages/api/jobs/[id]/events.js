@@ -0,0 +1,115 @@
+import nc from 'next-connect';
+import { allowGuest } from '../../../../lib/auth.js';
+import { ensureJobWorker, getJob } from '../../../../lib/jobs.js';
+import cors, { runMiddleware } from '../../../../lib/cors.js';
+
+// Workers may run in another process, so progress is read back from the job
+const POLL_INTERVAL_MS = 500;
+// Comment lines keep proxies from closing an idle stream
+const KEEPALIVE_INTERVAL_MS = 15000;
+// EventSource reconnects after this long if the stream drops
+const RETRY_MS = 3000;
+
+const handler = nc({
+  onError: (err, req, res, next) => {
+    console.error('Job events API error:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    } else {
+      res.end();
+    }
+  },
+  onNoMatch: (req, res) => {
+    res.status(405).json({ error: 'Method not allowed' });
+  },
+});
+
+// Apply CORS
+handler.use(async (req, res, next) => {
+  await runMiddleware(req, res, cors);
+  next();
+});
+
+// Jobs belong to whoever uploaded the file, signed in or guest
+handler.use(allowGuest);
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// GET /api/jobs/[id]/events - Server-Sent Events stream of a job's progress:
+// `progress` events ({ state, progress, stage, detail }) whenever it changes,
+// then one `done` or `failed` event with the whole job, and the stream ends
+handler.get(async (req, res) => {
+  const { id } = req.query;
+
+  ensureJobWorker();
+
+  const job = await getJob(id, req.user);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Don't let compression or nginx buffer the events
+    'Content-Encoding': 'none',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+  let lastProgress = null;
+  let pollTimer = null;
+
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL_MS);
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(pollTimer);
+    clearInterval(keepalive);
+    res.end();
+  };
+  req.on('close', finish);
+
+  const poll = async current => {
+    if (closed) return;
+
+    try {
+      const latest = current || await getJob(id, req.user);
+      if (!latest) {
+        // Expired while we were watching
+        return finish();
+      }
+
+      const progress = {
+        state: latest.state,
+        progress: latest.progress,
+        stage: latest.stage,
+        detail: latest.detail || null
+      };
+      if (JSON.stringify(progress) !== lastProgress) {
+        lastProgress = JSON.stringify(progress);
+        sendEvent(res, 'progress', progress);
+      }
+
+      if (latest.state === 'done' || latest.state === 'failed') {
+        sendEvent(res, latest.state, latest);
+        return finish();
+      }
+    } catch (error) {
+      // Ending lets EventSource reconnect and pick up from the current state
+      console.error(`Failed to read job ${id} for events:`, error);
+      return finish();
+    }
+
+    pollTimer = setTimeout(() => poll(), POLL_INTERVAL_MS);
+  };
+
+  await poll(job);
+});
+
+export default handler;
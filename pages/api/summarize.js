@@ -0,0 +1,254 @@
+import nc from 'next-connect';
+import { ObjectId } from 'mongodb';
+import { allowGuest } from '../../lib/auth.js';
+import { summarize } from '../../lib/summarizer.js';
+import { STYLE_NAMES, unsupportedLengthOption } from '../../lib/summaryStyles.js';
+import { getExtractionsCollection } from '../../lib/db.js';
+import cors, { runMiddleware } from '../../lib/cors.js';
+
+const MAX_TEXT_LENGTH = 500000;
+
+const handler = nc({
+  onError: (err, req, res, next) => {
+    console.error('Summarize API error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  },
+  onNoMatch: (req, res) => {
+    res.status(405).json({ error: 'Method not allowed' });
+  },
+});
+
+// Apply CORS
+handler.use(async (req, res, next) => {
+  await runMiddleware(req, res, cors);
+  next();
+});
+
+// Apply auth middleware (allows both authenticated and guest users)
+handler.use(allowGuest);
+
+// POST /api/summarize - Summarize raw text or a saved extraction
+handler.post(async (req, res) => {
+  try {
+    const { text, extractionId, provider, style, sentences, words, ratio, pageRange } = req.body || {};
+
+    if (!text && !extractionId) {
+      return res.status(400).json({
+        error: 'Either "text" or "extractionId" is required'
+      });
+    }
+
+    if (text && extractionId) {
+      return res.status(400).json({
+        error: 'Provide either "text" or "extractionId", not both'
+      });
+    }
+
+    if (style !== undefined && !STYLE_NAMES.includes(style)) {
+      return res.status(400).json({
+        error: `Unsupported style: ${style}. Use one of: ${STYLE_NAMES.join(', ')}`
+      });
+    }
+
+    if (pageRange !== undefined) {
+      if (!extractionId) {
+        return res.status(400).json({ error: '"pageRange" requires "extractionId"' });
+      }
+
+      const { from, to } = pageRange || {};
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from) {
+        return res.status(400).json({
+          error: '"pageRange" must be { "from": number, "to": number } with 1 <= from <= to'
+        });
+      }
+    }
+
+    const lengthOptions = [sentences, words, ratio].filter(value => value !== undefined);
+    if (lengthOptions.length > 1) {
+      return res.status(400).json({
+        error: 'Provide only one of "sentences", "words" or "ratio"'
+      });
+    }
+
+    const unsupportedLength = unsupportedLengthOption(style, { sentences, words, ratio });
+    if (unsupportedLength) {
+      return res.status(400).json({ error: unsupportedLength });
+    }
+
+    if (sentences !== undefined && (!Number.isInteger(sentences) || sentences < 1 || sentences > 50)) {
+      return res.status(400).json({
+        error: '"sentences" must be an integer between 1 and 50'
+      });
+    }
+
+    if (words !== undefined && (!Number.isInteger(words) || words < 10 || words > 2000)) {
+      return res.status(400).json({
+        error: '"words" must be an integer between 10 and 2000'
+      });
+    }
+
+    if (ratio !== undefined && (typeof ratio !== 'number' || ratio <= 0 || ratio >= 1)) {
+      return res.status(400).json({
+        error: '"ratio" must be a number between 0 and 1'
+      });
+    }
+
+    let sourceText = text;
+    let extraction = null;
+
+    if (extractionId) {
+      // Saved extractions only exist for authenticated users
+      if (!req.user || req.user.role !== 'user') {
+        return res.status(401).json({ error: 'Authentication required to summarize saved extractions' });
+      }
+
+      if (!ObjectId.isValid(extractionId)) {
+        return res.status(400).json({ error: 'Invalid extraction ID' });
+      }
+
+      const extractions = await getExtractionsCollection();
+      extraction = await extractions.findOne({
+        _id: new ObjectId(extractionId),
+        userId: req.user.userId
+      });
+
+      if (!extraction) {
+        return res.status(404).json({ error: 'Extraction not found' });
+      }
+
+      sourceText = extraction.extractedText;
+    }
+
+    let sourcePages = extraction?.pages;
+    let rangeOffset = 0;
+
+    // Drill down into a page range ("summary of pages 40-55")
+    if (pageRange) {
+      const rangePages = (extraction.pages || []).filter(page =>
+        page.number >= pageRange.from && page.number <= pageRange.to
+      );
+
+      if (rangePages.length === 0) {
+        return res.status(400).json({
+          error: extraction.pages
+            ? `Page range is outside this document (${extraction.pages.length} pages)`
+            : 'This extraction has no page information'
+        });
+      }
+
+      rangeOffset = rangePages[0].charStart;
+      sourceText = sourceText.slice(rangeOffset, rangePages[rangePages.length - 1].charEnd);
+      sourcePages = rangePages.map(page => ({
+        ...page,
+        charStart: page.charStart - rangeOffset,
+        charEnd: page.charEnd - rangeOffset
+      }));
+    }
+
+    if (typeof sourceText !== 'string' || sourceText.trim().length < 10) {
+      return res.status(400).json({ error: 'Text is too short to summarize' });
+    }
+
+    // Long texts are summarized map-reduce style, but every chunk is a provider
+    // call - saved extractions are held to the same limit, or a page range of one
+    if (sourceText.length > MAX_TEXT_LENGTH) {
+      return res.status(413).json({
+        error: extraction && !pageRange
+          ? `Extraction exceeds the ${MAX_TEXT_LENGTH} character limit. Summarize it in parts with "pageRange"`
+          : `Text exceeds the ${MAX_TEXT_LENGTH} character limit`
+      });
+    }
+
+    const result = await summarize(sourceText, {
+      provider,
+      style,
+      sentences,
+      words,
+      ratio,
+      pages: sourcePages
+    });
+
+    // Keep offsets relative to the full extracted text
+    if (rangeOffset) {
+      result.sentences = result.sentences?.map(sentence => ({
+        ...sentence,
+        start: sentence.start + rangeOffset,
+        end: sentence.end + rangeOffset
+      }));
+      result.chunks = result.chunks?.map(chunk => ({
+        ...chunk,
+        charStart: chunk.charStart + rangeOffset,
+        charEnd: chunk.charEnd + rangeOffset
+      }));
+    }
+
+    // Persist whole-document summaries alongside the extraction for authenticated users
+    if (extraction && !pageRange) {
+      try {
+        const extractions = await getExtractionsCollection();
+        await extractions.updateOne(
+          { _id: extraction._id },
+          {
+            $set: {
+              summary: {
+                style: result.style,
+                text: result.summary,
+                content: result.content,
+                provider: result.provider,
+                ...(result.model && { model: result.model }),
+                ...(result.sentences && { sentences: result.sentences }),
+                strategy: result.strategy,
+                ...(result.chunks && { chunks: result.chunks }),
+                createdAt: new Date()
+              }
+            }
+          }
+        );
+        console.log(`✅ Summary saved to extraction: ${extractionId}`);
+      } catch (dbError) {
+        console.error('⚠️ Summary save failed (non-critical):', dbError);
+      }
+    }
+
+    res.status(200).json({
+      summary: result.summary,
+      style: result.style,
+      content: result.content,
+      // Ranked source sentences with offsets into the original text (extractive only)
+      ...(result.sentences && { sentences: result.sentences }),
+      // Per-chunk summaries with character/page ranges (long documents only)
+      ...(result.chunks && { chunks: result.chunks }),
+      metadata: {
+        provider: result.provider,
+        ...(result.model && { model: result.model }),
+        ...(result.algorithm && { algorithm: result.algorithm }),
+        strategy: result.strategy,
+        ...(result.levels && { levels: result.levels }),
+        sourceLength: result.sourceLength,
+        summaryLength: result.summaryLength,
+        durationMs: result.durationMs,
+        userType: req.user?.role || 'guest'
+      },
+      ...(extraction && { extractionId }),
+      ...(pageRange && { pageRange: { from: pageRange.from, to: pageRange.to } })
+    });
+
+  } catch (error) {
+    console.error('❌ Summarization request failed:', error);
+
+    if (error.message.includes('Unknown summarization provider') || error.message.includes('not configured')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // A custom provider that only produces some styles
+    if (error.code === 'UNSUPPORTED_STYLE') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    res.status(500).json({
+      error: 'Failed to summarize the text. Please try again.'
+    });
+  }
+});
+
+export default handler;
@@ -1,8 +1,11 @@
 import nc from 'next-connect';
 import multer from 'multer';
 import { allowGuest } from '../../lib/auth.js';
-import { processFile, validateFile } from '../../lib/fileProcessor.js';
-import { getExtractionsCollection } from '../../lib/db.js';
+import { OCTET_STREAM, PPTX_MIMETYPE, processFile, validateFile } from '../../lib/fileProcessor.js';
+import { TEXT_MIMETYPES } from '../../lib/textFormats.js';
+import { DOC_MIMETYPE, EPUB_MIMETYPE, ODT_MIMETYPE } from '../../lib/documentFormats.js';
+import { describeProcessingError, extractionResponse, parseUploadOptions, saveExtraction } from '../../lib/extractions.js';
+import { createJob, ensureJobWorker } from '../../lib/jobs.js';
 import cors, { runMiddleware } from '../../lib/cors.js';
 
 // Configure multer for memory storage
@@ -16,15 +19,23 @@ const upload = multer({
     const allowedTypes = [
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      PPTX_MIMETYPE,
+      DOC_MIMETYPE,
+      ODT_MIMETYPE,
+      EPUB_MIMETYPE,
+      ...TEXT_MIMETYPES,
       'image/jpeg',
       'image/jpg',
       'image/png', 
       'image/gif',
       'image/bmp',
       'image/tiff',
-      'image/webp'
+      'image/webp',
+      // Unlabelled uploads are identified from their content
+      OCTET_STREAM
     ];
 
+    // The mimetype is the client's claim; processFile checks it against the content
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
@@ -92,77 +103,43 @@ handler.post(async (req, res) => {
 
     console.log(`📁 Processing upload: ${req.file.originalname} (${req.file.mimetype})`);
 
-    // Process the file
-    const result = await processFile(req.file);
+    let options;
+    try {
+      options = parseUploadOptions(req.body);
+    } catch (optionError) {
+      return res.status(400).json({ error: optionError.message, code: optionError.code });
+    }
 
-    let savedId = null;
+    // Large PDFs and OCR can outlast the request, so by default the file is
+    // queued and the client polls /api/jobs/[id]; wait=true processes it inline
+    const wait = ['true', '1', 'on'].includes(String(req.body?.wait || '').toLowerCase());
 
-    // Save to database only for authenticated users
-    if (req.user && req.user.role === 'user') {
-      try {
-        const extractions = await getExtractionsCollection();
-        
-        const extractionDoc = {
-          userId: req.user.userId,
-          filename: result.metadata.filename,
-          fileType: result.metadata.fileType,
-          mimetype: result.metadata.mimetype,
-          fileSize: result.metadata.size,
-          extractedText: result.text,
-          extractedLength: result.metadata.extractedLength,
-          wordCount: result.metadata.wordCount,
-          createdAt: new Date(),
-          version: '3.0'
-        };
-
-        const insertResult = await extractions.insertOne(extractionDoc);
-        savedId = insertResult.insertedId.toString();
-        
-        console.log(`✅ Extraction saved to database: ${savedId}`);
-      } catch (dbError) {
-        console.error('⚠️ Database save failed (non-critical):', dbError);
-        // Continue with response - DB failure shouldn't break the upload
-      }
-    } else {
-      console.log('👤 Guest user - not saving to database');
+    if (!wait) {
+      const jobId = await createJob(req.file, { user: req.user, options });
+      ensureJobWorker();
+
+      return res.status(202).json({
+        jobId,
+        state: 'queued',
+        statusUrl: `/api/jobs/${jobId}`
+      });
     }
 
+    // Process the file
+    const result = await processFile(req.file, options);
+
+    // Save to database only for authenticated users
+    const savedId = await saveExtraction(result, req.user);
+
     // Return successful response
-    res.status(200).json({
-      text: result.text,
-      metadata: {
-        ...result.metadata,
-        processingTime: Date.now(),
-        userType: req.user?.role || 'guest'
-      },
-      ...(savedId && { savedId })
-    });
+    res.status(200).json(extractionResponse(result, req.user, savedId));
 
   } catch (error) {
     console.error('❌ Upload processing failed:', error);
     
     // Provide user-friendly error messages
-    if (error.message.includes('No readable text')) {
-      return res.status(422).json({ 
-        error: 'No readable text found in the file. Please ensure the file contains text content.' 
-      });
-    }
-    
-    if (error.message.includes('password')) {
-      return res.status(422).json({ 
-        error: 'Password-protected files are not supported. Please remove the password and try again.' 
-      });
-    }
-    
-    if (error.message.includes('corrupted') || error.message.includes('Invalid')) {
-      return res.status(422).json({ 
-        error: 'The file appears to be corrupted or invalid. Please try a different file.' 
-      });
-    }
-    
-    res.status(500).json({ 
-      error: 'Failed to process the uploaded file. Please try again.' 
-    });
+    const { status, body } = describeProcessingError(error);
+    res.status(status).json(body);
   }
 });
 
@@ -0,0 +1,97 @@
+import nc from 'next-connect';
+import multer from 'multer';
+import { allowGuest } from '../../../lib/auth.js';
+import { BATCH_MAX_FILES, processBatch } from '../../../lib/batch.js';
+import { parseUploadOptions } from '../../../lib/extractions.js';
+import cors, { runMiddleware } from '../../../lib/cors.js';
+
+// Configure multer for memory storage. Types aren't filtered here: each file
+// is checked on its own, so one unsupported file doesn't fail the batch
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB per file or archive
+    files: BATCH_MAX_FILES
+  }
+});
+
+const handler = nc({
+  onError: (err, req, res, next) => {
+    console.error('Batch upload error:', err);
+
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({
+          error: 'File too large. Maximum size is 10MB per file.'
+        });
+      }
+      if (err.code === 'LIMIT_FILE_COUNT') {
+        return res.status(400).json({
+          error: `Too many files. Maximum is ${BATCH_MAX_FILES} per batch.`
+        });
+      }
+      if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({
+          error: 'Unexpected file field. Use "files" field name.'
+        });
+      }
+    }
+
+    res.status(500).json({ error: 'File upload failed' });
+  },
+  onNoMatch: (req, res) => {
+    res.status(405).json({ error: 'Method not allowed' });
+  },
+});
+
+// Apply CORS
+handler.use(async (req, res, next) => {
+  await runMiddleware(req, res, cors);
+  next();
+});
+
+// Apply auth middleware (allows both authenticated and guest users)
+handler.use(allowGuest);
+
+// Apply multer middleware
+handler.use(upload.array('files', BATCH_MAX_FILES));
+
+// POST /api/upload/batch - Process several files (or zip archives of files)
+// with the same options as /api/upload
+handler.post(async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded. Please select one or more files.'
+      });
+    }
+
+    let options;
+    try {
+      options = parseUploadOptions(req.body);
+    } catch (optionError) {
+      return res.status(400).json({ error: optionError.message, code: optionError.code });
+    }
+
+    console.log(`📁 Processing batch upload: ${req.files.length} files`);
+
+    const batch = await processBatch(req.files, { user: req.user, options });
+
+    res.status(200).json(batch);
+
+  } catch (error) {
+    console.error('❌ Batch upload failed:', error);
+    res.status(500).json({
+      error: 'Failed to process the uploaded files. Please try again.'
+    });
+  }
+});
+
+// Disable Next.js body parser for this route
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default handler;
@@ -0,0 +1,147 @@
+import nc from 'next-connect';
+import { allowGuest } from '../../../lib/auth.js';
+import {
+  appendToUpload,
+  completeUpload,
+  deleteUpload,
+  describeUploadError,
+  getUpload,
+  tusHeaders
+} from '../../../lib/uploads.js';
+import cors, { runMiddleware } from '../../../lib/cors.js';
+
+const handler = nc({
+  onError: (err, req, res, next) => {
+    console.error('Uploads API error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  },
+  onNoMatch: (req, res) => {
+    res.status(405).json({ error: 'Method not allowed' });
+  },
+});
+
+// tus version check and headers, ahead of CORS so they reach OPTIONS too
+handler.use(tusHeaders);
+
+// Apply CORS
+handler.use(async (req, res, next) => {
+  await runMiddleware(req, res, cors);
+  next();
+});
+
+// Uploads belong to whoever started them, signed in or guest
+handler.use(allowGuest);
+
+// HEAD /api/uploads/[id] - How many bytes have arrived, to resume from
+handler.head(async (req, res) => {
+  try {
+    const upload = await getUpload(req.query.id, req.user);
+
+    res.setHeader('Cache-Control', 'no-store');
+    if (!upload) {
+      return res.status(404).end();
+    }
+
+    res.setHeader('Upload-Offset', upload.offset);
+    res.setHeader('Upload-Length', upload.length);
+    res.setHeader('Upload-Expires', upload.expiresAt.toUTCString());
+    res.status(200).end();
+
+  } catch (error) {
+    console.error('Failed to fetch upload:', error);
+    res.status(500).end();
+  }
+});
+
+// PATCH /api/uploads/[id] - Append bytes at Upload-Offset. The request that
+// brings the last byte queues the file for extraction; its job id comes back
+// in Upload-Job-Id
+handler.patch(async (req, res) => {
+  try {
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+    if (req.headers['upload-offset'] === undefined) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+
+    const upload = await getUpload(req.query.id, req.user);
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const offset = await appendToUpload(upload, req.headers['upload-offset'], req);
+
+    if (offset === upload.length) {
+      // No job yet while another request is still assembling the file
+      const jobId = await completeUpload(upload);
+      if (jobId) {
+        res.setHeader('Upload-Job-Id', jobId);
+      }
+    }
+
+    res.setHeader('Upload-Offset', offset);
+    res.setHeader('Upload-Expires', upload.expiresAt.toUTCString());
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Failed to append to upload:', error.message);
+    const { status, body } = describeUploadError(error);
+    res.status(status).json(body);
+  }
+});
+
+// GET /api/uploads/[id] - Upload progress, and the job once it's complete
+handler.get(async (req, res) => {
+  try {
+    const upload = await getUpload(req.query.id, req.user);
+
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(200).json({
+      id: upload._id,
+      state: upload.state,
+      filename: upload.originalname,
+      length: upload.length,
+      offset: upload.offset,
+      jobId: upload.jobId || null,
+      statusUrl: upload.jobId ? `/api/jobs/${upload.jobId}` : null,
+      expiresAt: upload.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Failed to fetch upload:', error);
+    res.status(500).json({ error: 'Failed to fetch upload' });
+  }
+});
+
+// DELETE /api/uploads/[id] - Abandon an upload (tus termination). A job
+// already queued from it carries on
+handler.delete(async (req, res) => {
+  try {
+    const upload = await getUpload(req.query.id, req.user);
+
+    if (!upload) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    await deleteUpload(upload);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Failed to delete upload:', error);
+    res.status(500).json({ error: 'Failed to delete upload' });
+  }
+});
+
+// The request body is the file's bytes, read as a stream
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default handler;
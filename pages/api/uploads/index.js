@@ -0,0 +1,64 @@
+import nc from 'next-connect';
+import { allowGuest } from '../../../lib/auth.js';
+import { createUpload, describeUploadError, parseUploadMetadata, tusHeaders } from '../../../lib/uploads.js';
+import cors, { runMiddleware } from '../../../lib/cors.js';
+
+const handler = nc({
+  onError: (err, req, res, next) => {
+    console.error('Uploads API error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  },
+  onNoMatch: (req, res) => {
+    res.status(405).json({ error: 'Method not allowed' });
+  },
+});
+
+// tus version check and headers, ahead of CORS so they reach OPTIONS too
+handler.use(tusHeaders);
+
+// Apply CORS
+handler.use(async (req, res, next) => {
+  await runMiddleware(req, res, cors);
+  next();
+});
+
+// Guests can upload too, up to their own size limit
+handler.use(allowGuest);
+
+// POST /api/uploads - Start a resumable upload (tus creation). Upload-Length
+// is the file size; Upload-Metadata carries filename, filetype and the
+// /api/upload options. The Location header is where the bytes go
+handler.post(async (req, res) => {
+  try {
+    const upload = await createUpload({
+      user: req.user,
+      length: req.headers['upload-length'],
+      metadata: parseUploadMetadata(req.headers['upload-metadata'])
+    });
+    const location = `/api/uploads/${upload.id}`;
+
+    res.setHeader('Location', location);
+    res.setHeader('Upload-Expires', upload.expiresAt.toUTCString());
+    res.status(201).json({
+      id: upload.id,
+      uploadUrl: location,
+      length: upload.length,
+      offset: upload.offset,
+      expiresAt: upload.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Failed to create upload:', error.message);
+    const { status, body } = describeUploadError(error);
+    res.status(status).json(body);
+  }
+});
+
+// The request body, if any, is left to tus
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+export default handler;
@@ -14,6 +14,7 @@ export default function Home() {
         <li><code>POST /api/auth/verify</code> - Verify Google/Facebook tokens</li>
         <li><code>POST /api/auth/guest</code> - Create guest session</li>
         <li><code>POST /api/upload</code> - Upload and process files</li>
+        <li><code>POST /api/summarize</code> - Summarize text or a saved extraction</li>
         <li><code>GET /api/history</code> - Get extraction history (auth required)</li>
         <li><code>DELETE /api/history/[id]</code> - Delete extraction (auth required)</li>
       </ul>
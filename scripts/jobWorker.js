@@ -0,0 +1,17 @@
+// Standalone extraction worker: `npm run worker`
+//
+// Runs queued jobs outside the API, e.g. on a server without the serverless
+// time limit. Set JOB_WORKER=external on the API so it only queues jobs.
+// Needs the same environment as the API (MONGODB_URI, TESSDATA_URL, ...).
+
+import { startJobWorker } from '../lib/jobs.js';
+
+const worker = startJobWorker();
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    console.log(`🛑 ${signal} received, finishing running jobs...`);
+    await worker.stop();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { listArchiveFiles } from '../lib/archives.js';
+
+async function archive(entries) {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.file(name, content);
+  }
+  return { buffer: await zip.generateAsync({ type: 'nodebuffer' }), originalname: 'notes.zip' };
+}
+
+test('archive files are listed in order, skipping hidden files and folders', async () => {
+  const file = await archive({
+    'week1/intro.txt': 'Introduction',
+    'week1/.DS_Store': '',
+    '__MACOSX/week1/._intro.txt': '',
+    'week2/summary.md': '# Summary'
+  });
+
+  const { files, skipped } = await listArchiveFiles(file);
+
+  assert.deepEqual(files.map(entry => [entry.path, entry.filename]), [
+    ['week1/intro.txt', 'intro.txt'],
+    ['week2/summary.md', 'summary.md']
+  ]);
+  assert.equal(skipped, 0);
+
+  const loaded = await files[0].load();
+  assert.equal(loaded.buffer.toString(), 'Introduction');
+  assert.equal(loaded.originalname, 'intro.txt');
+});
+
+test('files past the limit are counted, not listed', async () => {
+  const entries = {};
+  for (let i = 0; i < 5000; i++) {
+    entries[`empty-${i}.txt`] = '';
+  }
+
+  const { files, skipped } = await listArchiveFiles(await archive(entries), { limit: 20 });
+
+  assert.equal(files.length, 20);
+  assert.equal(files[19].path, 'empty-19.txt');
+  assert.equal(skipped, 4980);
+});
+
+test('an archive inside an archive is not unpacked', async () => {
+  const inner = await archive({ 'a.txt': 'a' });
+  const { files } = await listArchiveFiles(await archive({ 'inner.zip': inner.buffer }));
+
+  await assert.rejects(files[0].load(), { code: 'NESTED_ARCHIVE' });
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText, estimateTokens } from '../lib/chunker.js';
+
+function paragraph(topic, sentences = 6) {
+  return Array.from({ length: sentences }, (_, i) =>
+    `The notes on ${topic} continue with point ${i + 1}, which adds a little more detail.`
+  ).join(' ');
+}
+
+// Pages as the PDF extractor reports them: text joined with blank lines
+function paged(texts) {
+  let text = '';
+  const pages = texts.map((pageText, i) => {
+    if (i > 0) text += '\n\n';
+    const charStart = text.length;
+    text += pageText;
+    return { number: i + 1, charStart, charEnd: text.length };
+  });
+  return { text, pages };
+}
+
+test('text within the budget is a single chunk', () => {
+  const text = paragraph('cells');
+  const chunks = chunkText(text, { maxTokens: 1000 });
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].text, text);
+  assert.equal(chunks[0].charStart, 0);
+  assert.equal(chunks[0].charEnd, text.length);
+  assert.equal(chunks[0].tokens, estimateTokens(text));
+});
+
+test('chunks fit the budget, split at paragraphs and point into the text', () => {
+  const text = ['cells', 'energy', 'genetics', 'evolution'].map(topic => paragraph(topic)).join('\n\n');
+  const chunks = chunkText(text, { maxTokens: 250 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.tokens <= 250, `${chunk.tokens} tokens`);
+    assert.equal(text.slice(chunk.charStart, chunk.charEnd), chunk.text);
+    assert.match(chunk.text, /^The notes on \w+ continue with point 1,/);
+  }
+  assert.deepEqual(chunks.map(chunk => chunk.index), chunks.map((_, i) => i));
+});
+
+test('a paragraph larger than the budget is split at sentences', () => {
+  const text = paragraph('cells', 30);
+  const chunks = chunkText(text, { maxTokens: 100 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.tokens <= 100);
+    assert.match(chunk.text, /^The notes on cells continue with point \d+,.*\.$/);
+  }
+});
+
+test('text without any boundaries is split at spaces', () => {
+  const text = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+  const chunks = chunkText(text, { maxTokens: 50 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.tokens <= 50);
+    assert.doesNotMatch(chunk.text, /^\s|\s$/);
+  }
+  assert.equal(chunks.map(chunk => chunk.text).join(' '), text);
+});
+
+test('whole pages are grouped and report their page range', () => {
+  const { text, pages } = paged(['cells', 'energy', 'genetics', 'evolution', 'ecology'].map(topic => paragraph(topic, 3)));
+  const chunks = chunkText(text, { maxTokens: 150, pages });
+
+  assert.deepEqual(chunks.map(chunk => [chunk.pageStart, chunk.pageEnd]), [[1, 2], [3, 4], [5, 5]]);
+  assert.equal(chunks[0].charStart, pages[0].charStart);
+  assert.equal(chunks[0].charEnd, pages[1].charEnd);
+});
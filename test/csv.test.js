@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tablesToCsv, toCsv } from '../lib/csv.js';
+
+test('fields with commas, quotes, line breaks or edge spaces are quoted', () => {
+  const csv = toCsv([
+    ['Name', 'Note'],
+    ['Smith, J.', 'said "hi"'],
+    ['multi\nline', ' padded '],
+    [null, 42]
+  ]);
+
+  assert.equal(csv, 'Name,Note\r\n"Smith, J.","said ""hi"""\r\n"multi\nline"," padded "\r\n,42\r\n');
+});
+
+test('cells a spreadsheet would run as formulas are escaped', () => {
+  const [row] = toCsv([['=SUM(A1:A2)', '@cmd', '+1+1', '-2-3', '\t=1', '=HYPERLINK("x")']]).split('\r\n');
+
+  assert.equal(row, `'=SUM(A1:A2),'@cmd,'+1+1,'-2-3,'\t=1,"'=HYPERLINK(""x"")"`);
+});
+
+test('signed numbers are not treated as formulas', () => {
+  assert.equal(toCsv([['-5', '+3.2', '-1,000', '-12%', 'a-b']]), '-5,+3.2,"-1,000",-12%,a-b\r\n');
+});
+
+test('tables are separated by an empty line', () => {
+  const csv = tablesToCsv([{ rows: [['a', 'b'], ['1', '2']] }, { rows: [['c']] }]);
+
+  assert.equal(csv, 'a,b\r\n1,2\r\n\r\nc\r\n');
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentSentences, summarizeExtractive } from '../lib/extractiveSummarizer.js';
+
+const NOTES = [
+  'Photosynthesis is the process plants use to turn light into chemical energy.',
+  'It takes place in the chloroplasts, which hold the green pigment chlorophyll.',
+  'Chlorophyll absorbs red and blue light and reflects green light.',
+  'The light reactions split water and release oxygen as a by-product.',
+  'The Calvin cycle then uses that energy to fix carbon dioxide into sugar.',
+  'Plants store the sugar as starch or use it to build cellulose.',
+  'Without photosynthesis there would be almost no oxygen in the atmosphere.',
+  'Most food chains on land and in the oceans start with photosynthesis.'
+].join(' ');
+
+test('sentences end at terminal punctuation but not at abbreviations, initials or decimals', () => {
+  const text = 'Dr. Smith measured 3.5 litres, e.g. in the lab. J. R. Jones agreed! Did it work? Yes.';
+
+  assert.deepEqual(segmentSentences(text).map(sentence => sentence.text), [
+    'Dr. Smith measured 3.5 litres, e.g. in the lab.',
+    'J. R. Jones agreed!',
+    'Did it work?',
+    'Yes.'
+  ]);
+});
+
+test('sentence offsets point back into the original text', () => {
+  const text = '  First line of notes.\nIt continues here.\n\nA new paragraph starts.';
+
+  for (const sentence of segmentSentences(text)) {
+    assert.equal(text.slice(sentence.start, sentence.end).replace(/\s+/g, ' '), sentence.text);
+  }
+  assert.deepEqual(segmentSentences(text).map(sentence => sentence.index), [0, 1, 2]);
+});
+
+test('list items, headings and blank lines are sentence boundaries', () => {
+  const text = [
+    '# Cell biology',
+    'Key organelles',
+    '- Nucleus holds the DNA',
+    '- Mitochondria make ATP for the cell',
+    '  and have their own DNA',
+    '1. Ribosomes build proteins',
+    '',
+    'Closing remarks without a full stop'
+  ].join('\n');
+
+  assert.deepEqual(segmentSentences(text).map(sentence => sentence.text), [
+    '# Cell biology',
+    'Key organelles',
+    'Nucleus holds the DNA',
+    'Mitochondria make ATP for the cell and have their own DNA',
+    '1. Ribosomes build proteins',
+    'Closing remarks without a full stop'
+  ]);
+});
+
+test('TextRank picks the requested number of sentences with their offsets', () => {
+  const result = summarizeExtractive(NOTES, { sentences: 3 });
+
+  assert.equal(result.algorithm, 'textrank');
+  assert.equal(result.totalSentences, 8);
+  assert.equal(result.sentences.length, 3);
+  assert.deepEqual(result.sentences.map(sentence => sentence.rank), [1, 2, 3]);
+
+  for (const sentence of result.sentences) {
+    assert.equal(NOTES.slice(sentence.start, sentence.end), sentence.text);
+    assert.ok(sentence.score > 0 && sentence.score <= 1);
+  }
+
+  // The summary reads in document order, whatever the ranking
+  const ordered = [...result.sentences].sort((a, b) => a.start - b.start);
+  assert.equal(result.summary, ordered.map(sentence => sentence.text).join(' '));
+});
+
+test('a word budget is not exceeded once a sentence is selected', () => {
+  const result = summarizeExtractive(NOTES, { words: 30 });
+  const words = result.summary.split(/\s+/).length;
+
+  assert.ok(result.sentences.length >= 1);
+  assert.ok(words <= 30, `${words} words`);
+});
+
+test('texts too long for TextRank fall back to centroid scoring', () => {
+  const text = Array.from({ length: 450 }, (_, i) =>
+    `Sentence number ${i} discusses topic ${i % 7} and concept ${i % 11} in detail.`
+  ).join(' ');
+
+  const result = summarizeExtractive(text, { sentences: 5 });
+
+  assert.equal(result.algorithm, 'tfidf');
+  assert.equal(result.sentences.length, 5);
+  for (const sentence of result.sentences) {
+    assert.equal(text.slice(sentence.start, sentence.end), sentence.text);
+  }
+});
+
+test('text without usable sentences gives an empty summary', () => {
+  assert.deepEqual(summarizeExtractive('Too short.').sentences, []);
+  assert.equal(summarizeExtractive('').summary, '');
+});
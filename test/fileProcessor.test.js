@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+
+// A 1MB budget keeps the zip bombs here small
+process.env.ZIP_MAX_UNPACKED_MB = '1';
+const {
+  DOCX_MIMETYPE,
+  ZIP_MIMETYPE,
+  detectFileType,
+  extractTextFromDOCX,
+  joinPages,
+  resolveFileType
+} = await import('../lib/fileProcessor.js');
+
+const MB = 1024 * 1024;
+
+// The smallest package mammoth reads: content types, the package relationship
+// and the document itself
+function docx(documentXml) {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml',
+    '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+    '</Types>');
+  zip.file('_rels/.rels',
+    '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+    '</Relationships>');
+  zip.file('word/document.xml', documentXml);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+function documentXml(paragraphs) {
+  const body = paragraphs.map(text => `<w:p><w:r><w:t>${text}</w:t></w:r></w:p>`).join('');
+  return `<?xml version="1.0"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}</w:body></w:document>`;
+}
+
+// Rewrite the uncompressed size an entry's local and central headers declare
+function understate(buffer, name, size) {
+  const patched = Buffer.from(buffer);
+  const headers = [
+    { signature: 0x04034b50, sizeAt: 22, nameLengthAt: 26, nameAt: 30 },
+    { signature: 0x02014b50, sizeAt: 24, nameLengthAt: 28, nameAt: 46 }
+  ];
+
+  for (let offset = 0; offset < patched.length - 4; offset++) {
+    for (const header of headers) {
+      if (patched.readUInt32LE(offset) !== header.signature) continue;
+      const nameLength = patched.readUInt16LE(offset + header.nameLengthAt);
+      const entryName = patched.toString('utf8', offset + header.nameAt, offset + header.nameAt + nameLength);
+      if (entryName === name) {
+        patched.writeUInt32LE(size, offset + header.sizeAt);
+      }
+    }
+  }
+  return patched;
+}
+
+test('a DOCX within the unpacked size budget is extracted', async () => {
+  const buffer = await docx(documentXml(['Photosynthesis turns light into chemical energy.']));
+
+  const result = await extractTextFromDOCX(buffer);
+
+  assert.equal(result.text, 'Photosynthesis turns light into chemical energy.');
+});
+
+test('a DOCX that declares more than the budget is refused', async () => {
+  const buffer = await docx(documentXml(['a'.repeat(2 * MB)]));
+
+  await assert.rejects(extractTextFromDOCX(buffer), { code: 'FILE_TOO_LARGE' });
+});
+
+test('a DOCX whose headers understate its size is stopped at the budget', async () => {
+  const buffer = understate(await docx(documentXml(['a'.repeat(2 * MB)])), 'word/document.xml', 1000);
+
+  await assert.rejects(extractTextFromDOCX(buffer), { code: 'FILE_TOO_LARGE' });
+});
+
+test('joined pages record where each page is in the text', () => {
+  const { text, pages } = joinPages(['Page one.\r\n\r\n\r\nStill one.  ', '', '  Page three.']);
+
+  assert.equal(text, 'Page one.\n\nStill one.\n\nPage three.');
+  assert.deepEqual(pages, [
+    { number: 1, text: 'Page one.\n\nStill one.', charStart: 0, charEnd: 21 },
+    { number: 2, text: '', charStart: 21, charEnd: 21 },
+    { number: 3, text: 'Page three.', charStart: 23, charEnd: 34 }
+  ]);
+  for (const page of pages) {
+    assert.equal(text.slice(page.charStart, page.charEnd), page.text);
+  }
+});
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+test('file types are detected from leading bytes, not the name', async () => {
+  assert.equal(await detectFileType(Buffer.from('junk\n%PDF-1.7\n'), 'notes.txt'), 'application/pdf');
+  assert.equal(await detectFileType(PNG, 'photo.jpg'), 'image/png');
+  assert.equal(await detectFileType(Buffer.from('{\\rtf1\\ansi hello}'), 'notes.txt'), 'application/rtf');
+  assert.equal(await detectFileType(Buffer.from([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1, 0])), 'application/x-executable');
+  assert.equal(await detectFileType(Buffer.from(Array.from({ length: 256 }, (_, i) => i))), null);
+});
+
+test('zip containers are told apart by their contents', async () => {
+  assert.equal(await detectFileType(await docx(documentXml(['Hello'])), 'upload.zip'), DOCX_MIMETYPE);
+
+  const odt = new JSZip();
+  odt.file('mimetype', 'application/vnd.oasis.opendocument.text');
+  assert.equal(await detectFileType(await odt.generateAsync({ type: 'nodebuffer' })), 'application/vnd.oasis.opendocument.text');
+
+  const plain = new JSZip();
+  plain.file('notes.txt', 'Hello');
+  assert.equal(await detectFileType(await plain.generateAsync({ type: 'nodebuffer' })), ZIP_MIMETYPE);
+});
+
+test('text is told apart as HTML by its opening tag and Markdown by its extension', async () => {
+  assert.equal(await detectFileType(Buffer.from('<!-- saved -->\n<!DOCTYPE html><html></html>')), 'text/html');
+  assert.equal(await detectFileType(Buffer.from('# Notes\nPlain text'), 'notes.md'), 'text/markdown');
+  assert.equal(await detectFileType(Buffer.from('# Notes\nPlain text'), 'notes.txt'), 'text/plain');
+});
+
+test('the declared type is kept when the content agrees with it', async () => {
+  const markdown = { buffer: Buffer.from('# Notes'), originalname: 'notes.txt', mimetype: 'text/markdown' };
+  assert.equal(await resolveFileType(markdown), 'text/markdown');
+
+  assert.equal(await resolveFileType({ buffer: PNG, originalname: 'a.jpg', mimetype: 'image/jpeg' }), 'image/png');
+  assert.equal(await resolveFileType({ buffer: PNG, originalname: 'a', mimetype: 'application/octet-stream' }), 'image/png');
+
+  // A damaged DOCX is only a zip, but still goes to the DOCX extractor
+  const zip = new JSZip();
+  zip.file('notes.txt', 'Hello');
+  const damaged = { buffer: await zip.generateAsync({ type: 'nodebuffer' }), originalname: 'notes.docx', mimetype: DOCX_MIMETYPE };
+  assert.equal(await resolveFileType(damaged), DOCX_MIMETYPE);
+});
+
+test('content that does not match the declared type is refused', async () => {
+  await assert.rejects(
+    resolveFileType({ buffer: Buffer.from('MZ\x90\x00\x03\x00\x00\x00\x04\x00', 'latin1'), originalname: 'notes.pdf', mimetype: 'application/pdf' }),
+    { code: 'FILE_TYPE_MISMATCH', message: /declared application\/pdf, detected application\/x-msdownload/ }
+  );
+  await assert.rejects(
+    resolveFileType({ buffer: Buffer.from('plain notes'), originalname: 'notes.rtf', mimetype: 'application/rtf' }),
+    { code: 'FILE_TYPE_MISMATCH' }
+  );
+  await assert.rejects(
+    resolveFileType({ buffer: Buffer.from(Array.from({ length: 256 }, (_, i) => i)), originalname: 'x', mimetype: 'application/octet-stream' }),
+    { code: 'UNSUPPORTED_FILE_TYPE' }
+  );
+});
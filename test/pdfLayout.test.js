@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzePageLayout } from '../lib/pdfLayout.js';
+
+// A pdf.js text item at (x, y), in PDF user space
+function item(str, x, y, fontSize = 10) {
+  return { str, transform: [fontSize, 0, 0, fontSize, x, y], width: str.length * fontSize * 0.5 };
+}
+
+function place(lines, x, top, lineHeight = 12) {
+  return lines.map((line, i) => item(line, x, top - i * lineHeight));
+}
+
+test('two narrow columns of prose are read as columns, not as a table', () => {
+  const left = [
+    'Cells are the basic units',
+    'of life and every living',
+    'thing is made of one or',
+    'more of them. Each cell',
+    'has a membrane that keeps',
+    'its contents inside and',
+    'controls what can enter.'
+  ];
+  const right = [
+    'Energy in the cell comes',
+    'from mitochondria, which',
+    'turn sugar into the ATP',
+    'that powers most of the',
+    'reactions inside. Plants',
+    'also have chloroplasts',
+    'that capture sunlight.'
+  ];
+
+  const layout = analyzePageLayout([...place(left, 50, 700), ...place(right, 200, 700)]);
+
+  assert.equal(layout.tables.length, 0);
+  assert.equal(layout.columns, 2);
+  assert.equal(layout.text, [
+    'Cells are the basic units of life and every living thing is made of one or more of them. Each cell has a membrane that keeps its contents inside and controls what can enter.',
+    'Energy in the cell comes from mitochondria, which turn sugar into the ATP that powers most of the reactions inside. Plants also have chloroplasts that capture sunlight.'
+  ].join('\n\n'));
+});
+
+test('rows of short aligned cells are still a table', () => {
+  const rows = [
+    ['Organelle', 'Function', 'Size'],
+    ['Nucleus', 'stores DNA', '6 µm'],
+    ['Mitochondrion', 'makes ATP', '1 µm'],
+    ['Ribosome', 'builds proteins', '25 nm']
+  ];
+  const items = rows.flatMap((row, i) => row.map((cell, j) => item(cell, 50 + j * 110, 500 - i * 14)));
+
+  const layout = analyzePageLayout(items);
+
+  assert.deepEqual(layout.tables, [{ rows }]);
+});
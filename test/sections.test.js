@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractSections } from '../lib/sections.js';
+
+// Drop children so a level of the tree can be compared on its own
+function flat(sections) {
+  return sections.map(({ children, ...section }) => section);
+}
+
+test('headings nest by level and run to the next heading at the same level or above', () => {
+  const text = '# Cells\nIntro.\n\n## Membrane\nControls entry.\n\n## Nucleus\nHolds DNA.\n\n# Energy ##\nATP.\n';
+  const sections = extractSections(text);
+
+  assert.deepEqual(flat(sections), [
+    { title: 'Cells', level: 1, charStart: 0, charEnd: 66 },
+    { title: 'Energy', level: 1, charStart: 68, charEnd: 84 }
+  ]);
+  assert.deepEqual(sections[0].children.map(section => section.title), ['Membrane', 'Nucleus']);
+  assert.deepEqual(sections[1].children, []);
+
+  // Offsets point into the text, without trailing whitespace
+  const [membrane, nucleus] = sections[0].children;
+  assert.equal(text.slice(membrane.charStart, membrane.charEnd), '## Membrane\nControls entry.');
+  assert.equal(text.slice(nucleus.charStart, nucleus.charEnd), '## Nucleus\nHolds DNA.');
+  assert.equal(nucleus.charEnd, sections[0].charEnd);
+});
+
+test('a skipped level still nests under the nearest higher heading', () => {
+  const sections = extractSections('# Part\n### Detail\ntext\n## Chapter\ntext');
+
+  assert.deepEqual(sections[0].children.map(section => [section.title, section.level]), [['Detail', 3], ['Chapter', 2]]);
+});
+
+test('headings in fenced code blocks are ignored', () => {
+  const text = '# Setup\n```bash\n# install the tools\nnpm install\n```\n# Usage\nRun it.';
+
+  assert.deepEqual(extractSections(text).map(section => section.title), ['Setup', 'Usage']);
+});
+
+test('text without headings has no sections', () => {
+  assert.deepEqual(extractSections('Just a paragraph.\n#hashtag is not a heading'), []);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens } from '../lib/chunker.js';
+import { getProvider, registerProvider, summarize } from '../lib/summarizer.js';
+
+const BUDGET = 200;
+
+// The extractive provider with a small budget, recording what it was given
+const inputs = [];
+const extractive = getProvider('extractive');
+registerProvider({
+  name: 'small-budget',
+  maxInputTokens: BUDGET,
+  concurrency: 2,
+  summarize(text, options) {
+    inputs.push({ text, options });
+    return extractive.summarize(text, options);
+  }
+});
+
+const TOPICS = ['cells', 'energy', 'genetics', 'evolution', 'ecology', 'immunity', 'hormones', 'neurons'];
+
+function notes(topics) {
+  return topics.map(topic => Array.from({ length: 5 }, (_, i) =>
+    `Lecture notes about ${topic} make point ${i + 1} with an example about ${topic} number ${i + 1}.`
+  ).join(' ')).join('\n\n');
+}
+
+test('text within the budget is summarized directly', async () => {
+  inputs.length = 0;
+  const text = 'Cells are the basic units of life. Mitochondria produce most of the energy a cell uses. ' +
+    'The nucleus holds the genetic material of the cell. Ribosomes assemble proteins from amino acids.';
+
+  const result = await summarize(text, { provider: 'small-budget', sentences: 2 });
+
+  assert.equal(result.strategy, 'direct');
+  assert.equal(inputs.length, 1);
+  assert.equal(result.sentences.length, 2);
+});
+
+test('long text is summarized map-reduce style within the budget', async () => {
+  inputs.length = 0;
+  const text = notes(TOPICS);
+  assert.ok(estimateTokens(text) > BUDGET * 2);
+
+  const result = await summarize(text, { provider: 'small-budget', style: 'bullets', sentences: 3 });
+
+  assert.equal(result.strategy, 'map-reduce');
+  assert.ok(result.levels >= 1);
+  for (const { text: input } of inputs) {
+    assert.ok(estimateTokens(input) <= BUDGET, `${estimateTokens(input)} tokens`);
+  }
+
+  // Chunk summaries use the default style; the final pass the requested one
+  assert.ok(inputs.slice(0, -1).every(({ options }) => options.style === 'paragraph'));
+  assert.equal(inputs[inputs.length - 1].options.style, 'bullets');
+  assert.equal(result.content.bullets.length, 3);
+
+  // First-level chunks cover the text in order
+  assert.ok(result.chunks.length > 1);
+  for (const [i, chunk] of result.chunks.entries()) {
+    assert.ok(chunk.summary.length > 0);
+    if (i > 0) assert.ok(chunk.charStart >= result.chunks[i - 1].charEnd);
+  }
+
+  // Highlights still point into the original text
+  assert.ok(result.sentences.length > 0);
+  for (const sentence of result.sentences) {
+    assert.equal(text.slice(sentence.start, sentence.end), sentence.text);
+  }
+});
+
+test('page ranges are kept on first-level chunks', async () => {
+  const pageTexts = TOPICS.map(topic => notes([topic]));
+  let text = '';
+  const pages = pageTexts.map((pageText, i) => {
+    if (i > 0) text += '\n\n';
+    const charStart = text.length;
+    text += pageText;
+    return { number: i + 1, charStart, charEnd: text.length };
+  });
+
+  const result = await summarize(text, { provider: 'small-budget', pages });
+
+  assert.equal(result.chunks[0].pageStart, 1);
+  assert.equal(result.chunks[result.chunks.length - 1].pageEnd, TOPICS.length);
+});
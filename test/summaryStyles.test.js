@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  STYLE_NAMES,
+  buildExtractiveStyle,
+  normalizeStyle,
+  styleLengthOptions,
+  unsupportedLengthOption
+} from '../lib/summaryStyles.js';
+
+const NOTES = `# Cells
+A cell is the smallest unit of life that can replicate on its own. Every living organism is made of one or more cells. The cell membrane controls what enters and leaves the cell. Most cells are too small to see without a microscope.
+
+# Energy
+Mitochondria are the organelles that produce most of the cell's ATP. ATP is a molecule that stores energy for cellular work. Cells break down glucose in a process called respiration. Plants also capture energy from sunlight in their chloroplasts.
+
+# Genetics
+DNA is a molecule that carries the genetic instructions of an organism. Genes are sections of DNA that code for proteins. The nucleus keeps the DNA of the cell apart from the cytoplasm. Mutations are changes in the DNA sequence that can alter a protein.`;
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+test('every style builds content, a rendering and the sentences it used', () => {
+  for (const style of STYLE_NAMES) {
+    const result = buildExtractiveStyle(style, NOTES);
+
+    assert.ok(result.summary.length > 0, style);
+    assert.ok(result.sentences.length > 0, style);
+    assert.ok(['textrank', 'tfidf'].includes(result.algorithm), style);
+    for (const sentence of result.sentences) {
+      assert.equal(NOTES.slice(sentence.start, sentence.end).replace(/\s+/g, ' '), sentence.text, style);
+    }
+  }
+});
+
+test('paragraph and bullets honour the requested length', () => {
+  assert.equal(buildExtractiveStyle('paragraph', NOTES, { sentences: 2 }).sentences.length, 2);
+
+  const bullets = buildExtractiveStyle('bullets', NOTES, { sentences: 4 });
+  assert.equal(bullets.content.bullets.length, 4);
+  assert.equal(bullets.summary, bullets.content.bullets.map(bullet => `• ${bullet}`).join('\n'));
+  // Bullets follow the document's order
+  const starts = [...bullets.sentences].sort((a, b) => a.start - b.start).map(sentence => sentence.text);
+  assert.deepEqual(bullets.content.bullets, starts);
+
+  assert.ok(countWords(buildExtractiveStyle('bullets', NOTES, { words: 25 }).summary) <= 25);
+});
+
+test('a TL;DR is one or two sentences of at most 60 words', () => {
+  const { content } = buildExtractiveStyle('tldr', NOTES);
+
+  assert.ok(countWords(content.tldr) <= 60);
+  assert.ok(content.tldr.split(/(?<=\.)\s/).length <= 2);
+});
+
+test('an outline follows the document headings', () => {
+  const { content, summary } = buildExtractiveStyle('outline', NOTES);
+
+  assert.deepEqual(content.sections.map(section => section.heading), ['Cells', 'Energy', 'Genetics']);
+  for (const section of content.sections) {
+    assert.ok(section.points.length > 0 && section.points.length <= 3);
+  }
+  assert.match(summary, /^## Cells\n- /);
+});
+
+test('flashcards and Q&A come from definitional sentences first', () => {
+  const { content: cards } = buildExtractiveStyle('flashcards', NOTES, { sentences: 3 });
+  assert.equal(cards.cards.length, 3);
+  const atp = cards.cards.find(card => card.front === 'ATP');
+  assert.equal(atp?.back, 'A molecule that stores energy for cellular work.');
+
+  const { content: qa } = buildExtractiveStyle('qa', NOTES, { sentences: 3 });
+  assert.equal(qa.questions.length, 3);
+  for (const pair of qa.questions) {
+    assert.match(pair.question, /^What is [\w ]+\?$/);
+    assert.ok(NOTES.includes(pair.answer));
+  }
+});
+
+test('provider output is normalized into the style shape', () => {
+  const { content, summary } = normalizeStyle('flashcards', {
+    cards: [{ front: ' Osmosis ', back: 'Diffusion of water. ' }, { front: 'No back' }, null]
+  });
+
+  assert.deepEqual(content, { cards: [{ front: 'Osmosis', back: 'Diffusion of water.' }] });
+  assert.equal(summary, 'Q: Osmosis\nA: Diffusion of water.');
+  assert.deepEqual(normalizeStyle('bullets', 'not an object').content, { bullets: [] });
+});
+
+test('length options a style cannot honour are rejected', () => {
+  assert.deepEqual(styleLengthOptions('paragraph'), ['sentences', 'words', 'ratio']);
+  assert.deepEqual(styleLengthOptions('flashcards'), ['sentences']);
+  assert.deepEqual(styleLengthOptions('tldr'), []);
+
+  assert.equal(unsupportedLengthOption('paragraph', { words: 100 }), null);
+  assert.equal(unsupportedLengthOption('qa', { sentences: 5 }), null);
+  assert.equal(unsupportedLengthOption('outline', {}), null);
+
+  assert.equal(
+    unsupportedLengthOption('flashcards', { words: 100 }),
+    '"words" is not supported for the "flashcards" style. Use "sentences"'
+  );
+  assert.equal(
+    unsupportedLengthOption('tldr', { sentences: 3 }),
+    '"sentences" is not supported for the "tldr" style. Its length is fixed'
+  );
+  assert.match(unsupportedLengthOption('outline', { ratio: 0.2 }), /^"ratio" is not supported for the "outline" style/);
+});
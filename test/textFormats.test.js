@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeText, extractTextFromTextFile, htmlToText, looksLikeText, rtfToText } from '../lib/textFormats.js';
+
+test('UTF-8, with or without a byte order mark', () => {
+  const text = 'Café – naïve résumé';
+
+  assert.deepEqual(decodeText(Buffer.from(text)), { text, charset: 'utf-8' });
+  assert.deepEqual(decodeText(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text)])), { text, charset: 'utf-8' });
+});
+
+test('UTF-16 is recognised by its byte order mark or its zero bytes', () => {
+  const text = 'Lecture notes on cells';
+  const le = Buffer.from(text, 'utf16le');
+  const be = Buffer.from(le).swap16();
+
+  assert.deepEqual(decodeText(Buffer.concat([Buffer.from([0xff, 0xfe]), le])), { text, charset: 'utf-16le' });
+  assert.deepEqual(decodeText(Buffer.concat([Buffer.from([0xfe, 0xff]), be])), { text, charset: 'utf-16be' });
+  assert.deepEqual(decodeText(le), { text, charset: 'utf-16le' });
+  assert.deepEqual(decodeText(be), { text, charset: 'utf-16be' });
+  assert.equal(looksLikeText(le), true);
+});
+
+test('bytes that are not UTF-8 fall back to a declared charset, then Windows-1252', () => {
+  // "Café – ok" in Windows-1252: é = 0xe9, en dash = 0x96
+  const cp1252 = Buffer.from([0x43, 0x61, 0x66, 0xe9, 0x20, 0x96, 0x20, 0x6f, 0x6b]);
+  assert.deepEqual(decodeText(cp1252), { text: 'Café – ok', charset: 'windows-1252' });
+
+  // "Привет" in Windows-1251
+  const cp1251 = Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2]);
+  assert.deepEqual(decodeText(cp1251, 'windows-1251'), { text: 'Привет', charset: 'windows-1251' });
+});
+
+test('binary data is not text', () => {
+  assert.equal(looksLikeText(Buffer.from(Array.from({ length: 256 }, (_, i) => i))), false);
+  assert.equal(looksLikeText(Buffer.from('Plain notes\nwith lines\tand tabs')), true);
+});
+
+test('RTF keeps paragraphs and decodes escapes, skipping font tables and fields', () => {
+  const rtf = String.raw`{\rtf1\ansi\ansicpg1252{\fonttbl{\f0 Times;}}{\colortbl;\red0\green0\blue0;}
+{\*\generator Writer;}\f0\fs24 Caf\'e9 notes\par
+Temperature: 20\'b0C \endash  rising, \'93quoted\'94\par
+\u8364?5 per \uc2\u8470 XXitem\par
+{\field{\*\fldinst HYPERLINK "x"}{\fldrslt linked text}}\par
+Row a\cell Row b\cell\row
+}`;
+
+  assert.equal(rtfToText(rtf), 'Café notes\nTemperature: 20°C – rising, “quoted”\n€5 per №item\nlinked text\nRow a | Row b');
+});
+
+test('RTF text in another code page', () => {
+  const rtf = String.raw`{\rtf1\ansi\ansicpg1251 \'cf\'f0\'e8\'e2\'e5\'f2\par}`;
+
+  assert.equal(rtfToText(rtf), 'Привет');
+});
+
+test('HTML keeps headings, lists and table cells and uses its declared charset', () => {
+  assert.equal(
+    htmlToText('<html><head><title>x</title></head><body><h2>Cells &amp; tissues</h2><p>Intro&nbsp;text</p>' +
+      '<ul><li>One</li><li>Two</li></ul><table><tr><td>A</td><td>B</td></tr></table><script>ignored()</script></body></html>'),
+    '## Cells & tissues\n\nIntro text\n\n- One\n- Two\n\nA | B'
+  );
+
+  const html = Buffer.concat([
+    Buffer.from('<html><head><meta charset="windows-1251"></head><body><p>'),
+    Buffer.from([0xcf, 0xf0, 0xe8, 0xe2, 0xe5, 0xf2, 0x2c, 0x20, 0xec, 0xe8, 0xf0]),
+    Buffer.from('</p></body></html>')
+  ]);
+  assert.deepEqual(extractTextFromTextFile(html, 'text/html'), { text: 'Привет, мир', format: 'HTML', charset: 'windows-1251' });
+});
+
+test('a file that is not really RTF is rejected', () => {
+  assert.throws(() => extractTextFromTextFile(Buffer.from('Just some plain text, not RTF at all.'), 'application/rtf'), /missing \{\\rtf header/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// lib/db.js needs a URI at import; nothing here reaches the database
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:1';
+(await import('../lib/db.js')).default.catch(() => {});
+const { writePart } = await import('../lib/uploads.js');
+
+// In-memory stand-ins for the uploads and parts collections, matching an
+// update's filter on _id, state and offset the way MongoDB would
+function collections(upload) {
+  const stored = new Map();
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  return {
+    stored,
+    uploads: {
+      async updateOne(filter, update) {
+        await tick();
+        if (filter._id !== upload._id || filter.state !== upload.state || filter.offset !== upload.offset) {
+          return { matchedCount: 0 };
+        }
+        Object.assign(upload, update.$set);
+        upload.partIds.push(update.$push.partIds);
+        return { matchedCount: 1 };
+      }
+    },
+    parts: {
+      async insertOne(part) {
+        await tick();
+        stored.set(part._id, part);
+      },
+      async deleteOne({ _id }) {
+        await tick();
+        stored.delete(_id);
+      }
+    }
+  };
+}
+
+function newUpload(state = 'uploading') {
+  return { _id: 'upload-1', state, offset: 0, partIds: [], expiresAt: new Date() };
+}
+
+test('parts written in turn move the offset along', async () => {
+  const upload = newUpload();
+  const db = collections(upload);
+
+  assert.equal(await writePart(upload, 0, Buffer.from('Hello, '), db), 7);
+  assert.equal(await writePart(upload, 7, Buffer.from('world'), db), 12);
+
+  assert.equal(upload.offset, 12);
+  assert.deepEqual(upload.partIds.map(id => db.stored.get(id).offset), [0, 7]);
+});
+
+test('of two writes at the same offset, the loser is refused and its part removed', async () => {
+  const upload = newUpload();
+  const db = collections(upload);
+
+  const results = await Promise.allSettled([
+    writePart(upload, 0, Buffer.from('first'), db),
+    writePart(upload, 0, Buffer.from('second'), db)
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  const winner = results.find(result => result.status === 'fulfilled');
+  const loser = results.find(result => result.status === 'rejected');
+  assert.equal(loser.reason.code, 'UPLOAD_OFFSET_MISMATCH');
+
+  assert.equal(upload.offset, winner.value);
+  assert.equal(upload.partIds.length, 1);
+  assert.deepEqual([...db.stored.keys()], upload.partIds);
+});
+
+test('a write to an upload that is no longer receiving bytes is refused', async () => {
+  const upload = newUpload('assembling');
+  const db = collections(upload);
+
+  await assert.rejects(writePart(upload, 0, Buffer.from('late'), db), { code: 'UPLOAD_OFFSET_MISMATCH' });
+  assert.equal(upload.offset, 0);
+  assert.equal(db.stored.size, 0);
+});